@@ -0,0 +1,85 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Compares verifying signatures against a PEM public key when the key is
+ * parsed for every signature, as verifySignature() used to do, with the
+ * cached keys of verifySignature() and a Verifier from createVerifier().
+ *
+ *     node bench/verify.js [iterations]
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sshpk = require("sshpk");
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+const ITERATIONS = Number(process.argv[2]) || 2000;
+const KEYS = {
+	rsa: ["RSA-SHA256", "rsa_private.pem", "rsa_public.pem"],
+	ecdsa: ["ECDSA-SHA256", "ecdsa_private.pem", "ecdsa_public.pem"],
+};
+
+///--- Helpers
+
+function parsedSignature(algorithm, privateKey) {
+	const signingString = `date: ${new Date().toUTCString()}`;
+	const signature = crypto.sign(
+		"sha256",
+		Buffer.from(signingString),
+		privateKey,
+	);
+	return {
+		algorithm: algorithm,
+		params: { signature: signature.toString("base64") },
+		signingString: signingString,
+	};
+}
+
+/* Runs fn ITERATIONS times, and prints how many runs it managed a second. */
+function measure(name, fn) {
+	for (let i = 0; i < 100; i++) fn();
+	const start = process.hrtime.bigint();
+	for (let i = 0; i < ITERATIONS; i++) {
+		if (!fn()) throw new Error(`${name}: signature did not verify`);
+	}
+	const ns = Number(process.hrtime.bigint() - start);
+	const rate = Math.round((ITERATIONS * 1e9) / ns);
+	console.log(`  ${name.padEnd(32)} ${String(rate).padStart(8)} ops/sec`);
+	return rate;
+}
+
+///--- Mainline
+
+Object.keys(KEYS).forEach(function (type) {
+	const key = KEYS[type];
+	const privateKey = fs.readFileSync(path.join(__dirname, "../test", key[1]));
+	const publicKey = fs.readFileSync(
+		path.join(__dirname, "../test", key[2]),
+		"ascii",
+	);
+	const parsed = parsedSignature(key[0], privateKey);
+	const verifier = httpSignature.createVerifier(publicKey);
+
+	console.log(`${type} (${ITERATIONS} iterations):`);
+	const uncached = measure("sshpk.parseKey every time", function () {
+		return sshpk
+			.parseKey(publicKey)
+			.createVerify("sha256")
+			.update(parsed.signingString)
+			.verify(parsed.params.signature, "base64");
+	});
+	const cached = measure("verifySignature (cached key)", function () {
+		return httpSignature.verifySignature(parsed, publicKey);
+	});
+	const reused = measure("createVerifier().verify", function () {
+		return verifier.verify(parsed);
+	});
+	console.log(
+		`  speedup: ${(cached / uncached).toFixed(1)}x cached, ` +
+			`${(reused / uncached).toFixed(1)}x with a Verifier`,
+	);
+});
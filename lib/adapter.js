@@ -0,0 +1,192 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Reads what signing and verifying need from the request objects of the
+ * different HTTP stacks: an http.IncomingMessage as Node, Connect or Express
+ * hands it to a server, an http.ClientRequest, a WHATWG fetch Request, or the
+ * headers of a request an HTTP client library is about to send.
+ */
+
+const assert = require("assert-plus");
+
+///--- Helpers
+
+/*
+ * Turns a WHATWG Headers object into the plain object of lowercase names to
+ * values that http.IncomingMessage has.
+ */
+function fieldsOf(headers) {
+	const fields = {};
+	headers.forEach(function (value, name) {
+		fields[name] = value;
+	});
+	if (typeof headers.getSetCookie === "function") {
+		const cookies = headers.getSetCookie();
+		if (cookies.length > 0) fields["set-cookie"] = cookies;
+	}
+	return fields;
+}
+
+/**
+ * Finds the request target (the path and query) a server received, which
+ * Express keeps in `originalUrl` once routing has rewritten `url`, while a
+ * plain Node server and Connect only have `url`.
+ *
+ * @param {Object} request an http.IncomingMessage or the like.
+ * @param {Object} options optional, with a requestTarget to use instead, e.g.
+ *                 for a server behind a proxy that rewrites the path.
+ * @return {String} the request target, or undefined if it has none.
+ */
+function requestTarget(request, options) {
+	if (options !== undefined && options.requestTarget !== undefined) {
+		assert.string(options.requestTarget, "options.requestTarget");
+		return options.requestTarget;
+	}
+	if (typeof request.originalUrl === "string") return request.originalUrl;
+	if (typeof request.url === "string") return request.url;
+	return undefined;
+}
+
+/**
+ * Presents a fetch Request, as edge runtimes and route handlers receive it,
+ * the way an http.IncomingMessage would have it: plain lowercase headers, the
+ * request target in `url` and the scheme in `socket.encrypted`. The Host
+ * header comes from the URL when the runtime has not kept it, and the HTTP
+ * version is not known, so it is taken to be 1.1.
+ *
+ * @param {Request} request the fetch Request.
+ * @return {Object} an object parseRequest() accepts.
+ */
+function incomingRequest(request) {
+	const url = new URL(request.url);
+	const headers = fieldsOf(request.headers);
+	if (headers.host === undefined) headers.host = url.host;
+
+	return {
+		method: request.method,
+		url: url.pathname + url.search,
+		httpVersion: "1.1",
+		headers: headers,
+		socket: { encrypted: url.protocol === "https:" },
+	};
+}
+
+/**
+ * Wraps a plain object of headers, as HTTP clients such as axios and got keep
+ * them for a request they have yet to send, in the parts of the
+ * http.ClientRequest interface that signRequest() uses. Names are matched
+ * without regard to case, and the Host header, which the client sends for
+ * the URL itself, is taken from the URL when the object has none.
+ *
+ * @param {URL} url the URL of the request.
+ * @param {String} method the request method, in upper case.
+ * @param {Object} headers the headers, which are updated in place.
+ * @return {Object} an object signRequest() accepts.
+ */
+function outgoingRequest(url, method, headers) {
+	function nameOf(name) {
+		const lower = name.toLowerCase();
+		const names = Object.keys(headers);
+		for (let i = 0; i < names.length; i++)
+			if (names[i].toLowerCase() === lower) return names[i];
+		return undefined;
+	}
+
+	return {
+		method: method,
+		path: url.pathname + url.search,
+		protocol: url.protocol,
+		getHeader: function (name) {
+			const found = nameOf(name);
+			const value = found !== undefined ? headers[found] : undefined;
+			if (value === undefined || value === null)
+				return name.toLowerCase() === "host" ? url.host : undefined;
+			return Array.isArray(value) ? value.join(", ") : String(value);
+		},
+		getHeaders: function () {
+			const fields = {};
+			Object.keys(headers).forEach(function (name) {
+				const value = headers[name];
+				if (value !== undefined && value !== null)
+					fields[name.toLowerCase()] = value;
+			});
+			if (fields.host === undefined) fields.host = url.host;
+			return fields;
+		},
+		setHeader: function (name, value) {
+			headers[nameOf(name) || name] = value;
+		},
+		removeHeader: function (name) {
+			const found = nameOf(name);
+			if (found !== undefined) delete headers[found];
+		},
+	};
+}
+
+/* Describes an http.IncomingMessage for the RFC 9421 component functions. */
+function requestMessage(request, options) {
+	let scheme = options.scheme;
+	if (scheme === undefined) {
+		const socket = request.socket || {};
+		scheme = socket.encrypted ? "https" : "http";
+	}
+
+	return {
+		method: request.method,
+		target: requestTarget(request, options),
+		scheme: scheme,
+		authority: request.headers.host || request.headers[":authority"],
+		headers: request.headersDistinct || request.headers,
+		trailers: request.trailersDistinct || request.trailers,
+	};
+}
+
+/**
+ * Describes a request for the component functions: a fetch Request, an
+ * http.ClientRequest or an http.IncomingMessage.
+ *
+ * @param {Object} request the request.
+ * @param {Object} options with an optional scheme for the target URI
+ *                 (default: from the request URL, protocol or socket), and
+ *                 an optional requestTarget as for requestTarget().
+ * @return {Object} the message description (see lib/components.js).
+ */
+function describeRequest(request, options) {
+	const headers = request.headers || {};
+	if (typeof headers.get === "function") {
+		const url = new URL(request.url);
+		return {
+			method: request.method,
+			target: url.pathname + url.search,
+			scheme: url.protocol.replace(/:$/, ""),
+			authority: url.host,
+			headers: fieldsOf(headers),
+		};
+	}
+
+	if (typeof request.getHeader === "function") {
+		let scheme = options.scheme;
+		if (scheme === undefined) {
+			scheme = (request.protocol || "http:").replace(/:$/, "");
+		}
+		return {
+			method: request.method,
+			target: request.path,
+			scheme: scheme,
+			authority: request.getHeader("host"),
+			headers: request.getHeaders(),
+		};
+	}
+
+	return requestMessage(request, options);
+}
+
+///--- Exported API
+
+module.exports = {
+	fieldsOf: fieldsOf,
+	requestTarget: requestTarget,
+	incomingRequest: incomingRequest,
+	outgoingRequest: outgoingRequest,
+	describeRequest: describeRequest,
+};
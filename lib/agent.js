@@ -0,0 +1,221 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Signing for Node's http and https modules: Agents that sign each
+ * ClientRequest they are given before its headers go out, for code (such as
+ * third-party SDKs) that takes an agent but cannot be taught to sign.
+ */
+
+const assert = require("assert-plus");
+const http = require("http");
+const https = require("https");
+const util = require("util");
+const signer = require("./signer");
+
+///--- Globals
+
+/* Options of the agent itself, as opposed to signing options. */
+const AGENT_OPTIONS = ["agent", "https", "keys", "digest", "headers"];
+
+///--- Helpers
+
+function checkOptions(options) {
+	assert.object(options, "options");
+	assert.optionalObject(options.agent, "options.agent");
+	assert.optionalBool(options.https, "options.https");
+	assert.optionalBool(options.digest, "options.digest");
+	if (
+		options.keys !== undefined &&
+		typeof options.keys !== "function" &&
+		typeof options.keys !== "object"
+	)
+		throw new TypeError("options.keys must be an object or function");
+	if (
+		options.headers !== undefined &&
+		typeof options.headers !== "function" &&
+		!Array.isArray(options.headers)
+	)
+		throw new TypeError("options.headers must be an array or function");
+	if (options.body !== undefined)
+		throw new TypeError("options.body is taken from each request");
+	if (options.keys === undefined) {
+		assert.string(options.keyId, "options.keyId");
+		assert.ok(options.key, "options.key");
+	}
+}
+
+/*
+ * Works out the signing options for a request: the agent's own, with those
+ * for its host from options.keys on top, looked up by Host header and then
+ * by hostname. Returns undefined when the request is not to be signed.
+ */
+function signingOptions(options, req) {
+	const keys = options.keys;
+	const host = req.getHeader("host");
+	let forHost;
+	if (typeof keys === "function") forHost = keys(host, req);
+	else if (keys !== undefined) forHost = keys[host] || keys[req.host];
+
+	if (keys !== undefined && (forHost === undefined || forHost === null))
+		return undefined;
+
+	const signing = {};
+	Object.keys(options).forEach(function (name) {
+		if (AGENT_OPTIONS.indexOf(name) === -1) signing[name] = options[name];
+	});
+	if (typeof options.headers === "function")
+		signing.headers = options.headers(req);
+	else if (options.headers !== undefined) signing.headers = options.headers;
+	return Object.assign(signing, forHost);
+}
+
+/* Splits the (chunk, encoding, callback) arguments of write() and end(). */
+function chunkArgs(args) {
+	let chunk = args[0];
+	let encoding = args[1];
+	let cb = args[2];
+	if (typeof chunk === "function") {
+		cb = chunk;
+		chunk = undefined;
+	} else if (typeof encoding === "function") {
+		cb = encoding;
+		encoding = undefined;
+	}
+	return { chunk: chunk, encoding: encoding, cb: cb };
+}
+
+/*
+ * Arranges for a request to be signed just before its headers are sent,
+ * which happens on its first write(), end() or flushHeaders(). So that the
+ * body can be digested, with options.digest the body is held back until
+ * end().
+ */
+function prepareRequest(options, req) {
+	const signing = signingOptions(options, req);
+	if (signing === undefined) return;
+
+	const write = req.write;
+	const end = req.end;
+	const flushHeaders = req.flushHeaders;
+	const chunks = [];
+	let signed = false;
+
+	function sign(body) {
+		if (signed) return true;
+		signed = true;
+		if (body !== undefined && body.length > 0) signing.body = body;
+		try {
+			signer.signRequest(req, signing);
+		} catch (e) {
+			req.destroy(e);
+			return false;
+		}
+		return true;
+	}
+
+	if (!options.digest) {
+		req.write = function (...args) {
+			return sign() && write.apply(req, args);
+		};
+		req.end = function (...args) {
+			if (sign()) end.apply(req, args);
+			return req;
+		};
+	} else {
+		req.write = function (...args) {
+			const a = chunkArgs(args);
+			if (a.chunk !== undefined && a.chunk !== null)
+				chunks.push(Buffer.from(a.chunk, a.encoding));
+			if (a.cb !== undefined) process.nextTick(a.cb);
+			return true;
+		};
+		req.end = function (...args) {
+			const a = chunkArgs(args);
+			if (a.chunk !== undefined && a.chunk !== null)
+				chunks.push(Buffer.from(a.chunk, a.encoding));
+			const body = Buffer.concat(chunks);
+			if (sign(body)) {
+				if (body.length > 0) write.call(req, body);
+				end.call(req, a.cb);
+			}
+			return req;
+		};
+	}
+	req.flushHeaders = function () {
+		if (sign()) flushHeaders.call(req);
+	};
+}
+
+///--- API
+
+/* See createSigningAgent() */
+function SigningAgent(options) {
+	checkOptions(options);
+	http.Agent.call(this, options.agent);
+	this.sa_options = options;
+}
+util.inherits(SigningAgent, http.Agent);
+
+SigningAgent.prototype.addRequest = function (req, options) {
+	prepareRequest(this.sa_options, req);
+	return http.Agent.prototype.addRequest.call(this, req, options);
+};
+
+/* See createSigningAgent() */
+function HttpsSigningAgent(options) {
+	checkOptions(options);
+	https.Agent.call(this, options.agent);
+	this.sa_options = options;
+}
+util.inherits(HttpsSigningAgent, https.Agent);
+
+HttpsSigningAgent.prototype.addRequest = function (req, options) {
+	prepareRequest(this.sa_options, req);
+	return https.Agent.prototype.addRequest.call(this, req, options);
+};
+
+///--- Exported API
+
+module.exports = {
+	SigningAgent: SigningAgent,
+	HttpsSigningAgent: HttpsSigningAgent,
+
+	/**
+	 * Creates an http.Agent (or https.Agent) that signs every request made
+	 * with it, as signRequest() would, just before its headers are sent:
+	 *
+	 *     const agent = httpSignature.createSigningAgent(options);
+	 *     http.request({ host: "example.com", path: "/", agent: agent });
+	 *
+	 * Headers set on the request any time before its first write(), end() or
+	 * flushHeaders() are there to be signed.
+	 *
+	 * @param {Object} options signing parameters object, as for
+	 *                   signRequest(), except that body is not taken, plus:
+	 *                   - {Object} agent optional; options for the Agent,
+	 *                              such as keepAlive.
+	 *                   - {Boolean} https optional; create an https.Agent
+	 *                               (default false).
+	 *                   - {Object|Function} keys optional; signing options
+	 *                                       (keyId and key) for each host,
+	 *                                       by Host header or hostname, or
+	 *                                       a function taking the Host
+	 *                                       header and the request and
+	 *                                       returning them. Requests to
+	 *                                       hosts it has nothing for are
+	 *                                       sent unsigned.
+	 *                   - {Array|Function} headers optional; the headers to
+	 *                                      sign, or a function taking the
+	 *                                      request and returning them.
+	 *                   - {Boolean} digest optional; add a digest of the body
+	 *                               (default false). The body is then held
+	 *                               back until end() is called.
+	 * @return {Object} the Agent.
+	 * @throws {TypeError} on bad input.
+	 */
+	createSigningAgent: function createSigningAgent(options) {
+		assert.object(options, "options");
+		if (options.https) return new HttpsSigningAgent(options);
+		return new SigningAgent(options);
+	},
+};
@@ -0,0 +1,458 @@
+// Copyright 2026 Firefish.
+
+/*
+ * The framework-independent half of the server integrations: parses and
+ * verifies the signature on a request against a policy, resolving the key
+ * with a user-supplied function, and builds the challenge headers sent back
+ * when that fails.
+ */
+
+const assert = require("assert-plus");
+const util = require("util");
+const components = require("./components");
+const digest = require("./digest");
+const parser = require("./parser");
+const sf = require("./structured");
+const utils = require("./utils");
+const verify = require("./verify");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+const InvalidAlgorithmError = utils.InvalidAlgorithmError;
+
+const DEFAULT_COMPONENTS = ["@method", "@target-uri", "date"];
+
+/* Largest body read to check a digest, unless the policy says otherwise. */
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+///--- Specific Errors
+
+function MissingHeaderError(message) {
+	HttpSignatureError.call(this, message, MissingHeaderError);
+}
+util.inherits(MissingHeaderError, HttpSignatureError);
+
+function InvalidSignatureError(message) {
+	HttpSignatureError.call(this, message, InvalidSignatureError);
+}
+util.inherits(InvalidSignatureError, HttpSignatureError);
+
+function InvalidDigestError(message) {
+	HttpSignatureError.call(this, message, InvalidDigestError);
+}
+util.inherits(InvalidDigestError, HttpSignatureError);
+
+function UnknownKeyError(message) {
+	HttpSignatureError.call(this, message, UnknownKeyError);
+}
+util.inherits(UnknownKeyError, HttpSignatureError);
+
+function NotAuthorizedError(message) {
+	HttpSignatureError.call(this, message, NotAuthorizedError);
+}
+util.inherits(NotAuthorizedError, HttpSignatureError);
+
+///--- Helpers
+
+/* Whether a signature covers a header, with or without component params. */
+function covers(parsed, name) {
+	return parsed.params.headers.some(function (h) {
+		return h.split(";")[0] === name;
+	});
+}
+
+function hasBody(request) {
+	const length = request.headers["content-length"];
+	return (
+		(length !== undefined && Number(length) > 0) ||
+		request.headers["transfer-encoding"] !== undefined
+	);
+}
+
+/*
+ * Reads a request stream to the end, failing once it is larger than limit.
+ */
+function readBody(stream, limit) {
+	return new Promise(function (resolve, reject) {
+		const chunks = [];
+		let length = 0;
+
+		function onData(chunk) {
+			length += chunk.length;
+			if (length > limit) {
+				cleanup();
+				const err = new Error(`request body is larger than ${limit} bytes`);
+				err.statusCode = 413;
+				reject(err);
+				return;
+			}
+			chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+		}
+		function onEnd() {
+			cleanup();
+			resolve(Buffer.concat(chunks));
+		}
+		function onError(err) {
+			cleanup();
+			reject(err);
+		}
+		function cleanup() {
+			stream.removeListener("data", onData);
+			stream.removeListener("end", onEnd);
+			stream.removeListener("error", onError);
+		}
+
+		stream.on("data", onData);
+		stream.on("end", onEnd);
+		stream.on("error", onError);
+	});
+}
+
+/*
+ * Checks the body against whichever digest header the signature covers. With
+ * the digest policy, a request with a body must have one. A signed digest
+ * with no body to check it against is refused, unless getBody is null for a
+ * check left to verifyBody().
+ */
+function checkDigest(policy, request, parsed, getBody) {
+	let header;
+	if (covers(parsed, "content-digest")) header = "content-digest";
+	else if (covers(parsed, "digest")) header = "digest";
+
+	if (header === undefined) {
+		if (policy.digest && hasBody(request))
+			throw new MissingHeaderError(
+				"the request has a body, but no signed digest of it",
+			);
+		return undefined;
+	}
+	if (getBody === null) return undefined;
+	if (getBody === undefined)
+		throw new InvalidDigestError(
+			`${header} cannot be checked without the body`,
+		);
+
+	return Promise.resolve(getBody()).then(function (body) {
+		const ok =
+			header === "digest"
+				? digest.verifyDigest(parsed, body)
+				: digest.verifyContentDigest(parsed, body);
+		if (!ok) throw new InvalidDigestError(`${header} does not match the body`);
+	});
+}
+
+/* See createAuthenticator() */
+function Authenticator(options) {
+	assert.object(options, "options");
+	assert.func(options.keyResolver, "options.keyResolver");
+	assert.optionalArrayOfString(options.headers, "options.headers");
+	assert.optionalArrayOfString(options.components, "options.components");
+	assert.optionalArrayOfString(options.algorithms, "options.algorithms");
+	assert.optionalFinite(options.clockSkew, "options.clockSkew");
+	assert.optionalBool(options.strict, "options.strict");
+	assert.optionalString(
+		options.authorizationHeaderName,
+		"options.authorizationHeaderName",
+	);
+	assert.optionalString(options.label, "options.label");
+	assert.optionalString(options.tag, "options.tag");
+	assert.optionalString(options.realm, "options.realm");
+	assert.optionalString(options.scheme, "options.scheme");
+	assert.optionalBool(options.digest, "options.digest");
+	assert.optionalBool(options.hmac, "options.hmac");
+	assert.optionalNumber(options.bodyLimit, "options.bodyLimit");
+	assert.optionalFunc(options.authorize, "options.authorize");
+
+	this.au_keyResolver = options.keyResolver;
+	this.au_authorize = options.authorize;
+	this.au_policy = {
+		headers: options.headers,
+		components: options.components,
+		algorithms: options.algorithms,
+		clockSkew: options.clockSkew,
+		strict: options.strict,
+		authorizationHeaderName: options.authorizationHeaderName,
+		label: options.label,
+		tag: options.tag,
+		realm: options.realm,
+		scheme: options.scheme,
+		digest: options.digest === true,
+		hmac: options.hmac === true,
+		bodyLimit:
+			options.bodyLimit !== undefined ? options.bodyLimit : DEFAULT_BODY_LIMIT,
+	};
+}
+
+/**
+ * Returns a copy of this authenticator with some of its policy overridden,
+ * e.g. for a single route.
+ *
+ * @param {Object} overrides options as for createAuthenticator().
+ * @return {Authenticator}
+ */
+Authenticator.prototype.withPolicy = function (overrides) {
+	assert.object(overrides, "overrides");
+
+	return new Authenticator(
+		Object.assign(
+			{ keyResolver: this.au_keyResolver, authorize: this.au_authorize },
+			this.au_policy,
+			overrides,
+		),
+	);
+};
+
+/**
+ * Parses and verifies the signature on a request.
+ *
+ * @param {Object} request an http.IncomingMessage, or anything parseRequest()
+ *                 accepts.
+ * @param {Function} getBody optional; returns the raw body (a Buffer or
+ *                   String) or a Promise of it. Only called when the
+ *                   signature covers a digest, which is refused without
+ *                   it. Null leaves the digest to verifyBody(), for
+ *                   servers that only have the body later.
+ * @return {Promise} resolving with the credentials: an object holding the
+ *                   keyId, the resolved key and the parsed signature.
+ *                   Rejects with an HttpSignatureError if the request is not
+ *                   authentic (or a NotAuthorizedError if it is, but the
+ *                   authorize function refused it), or with any error from
+ *                   the key resolver, getBody or authorize.
+ */
+Authenticator.prototype.authenticate = function (request, getBody) {
+	assert.object(request, "request");
+	assert.optionalFunc(getBody, "getBody");
+
+	const self = this;
+	const policy = this.au_policy;
+	let parsed;
+	let key;
+
+	return new Promise(function (resolve) {
+		if (request.headers[utils.HEADER.SIG_INPUT] !== undefined) {
+			resolve(
+				parser.parseMessageSignature(request, {
+					clockSkew: policy.clockSkew,
+					headers: policy.components,
+					algorithms: policy.algorithms,
+					label: policy.label,
+					tag: policy.tag,
+					scheme: policy.scheme,
+				}),
+			);
+			return;
+		}
+		resolve(
+			parser.parseRequest(request, {
+				clockSkew: policy.clockSkew,
+				headers: policy.headers,
+				algorithms: policy.algorithms,
+				strict: policy.strict,
+				authorizationHeaderName: policy.authorizationHeaderName,
+			}),
+		);
+	})
+		.then(function (p) {
+			parsed = p;
+			/*
+			 * Whether a signature is an HMAC is the server's to say: a client
+			 * that could choose would HMAC with a public key, which is no secret.
+			 */
+			if (!policy.hmac && parsed.algorithm.toUpperCase().indexOf("HMAC") === 0)
+				throw new InvalidAlgorithmError("HMAC signatures are not accepted");
+			return self.au_keyResolver(parsed.keyId, parsed, request);
+		})
+		.then(function (k) {
+			if (k === undefined || k === null)
+				throw new UnknownKeyError(`${parsed.keyId} is not a known key`);
+			key = k;
+
+			const ok = policy.hmac
+				? verify.verifyHMAC(parsed, key)
+				: verify.verifySignature(parsed, key);
+			if (!ok) throw new InvalidSignatureError("signature verification failed");
+
+			return checkDigest(policy, request, parsed, getBody);
+		})
+		.then(function () {
+			const credentials = {
+				keyId: parsed.keyId,
+				key: key,
+				signature: parsed,
+			};
+			if (self.au_authorize === undefined) return credentials;
+
+			return Promise.resolve(self.au_authorize(credentials, request)).then(
+				function (allowed) {
+					if (!allowed)
+						throw new NotAuthorizedError(
+							`${parsed.keyId} is not allowed to make this request`,
+						);
+					return credentials;
+				},
+			);
+		});
+};
+
+/**
+ * Whether a request carries a signature at all, for servers that treat an
+ * unsigned request differently from one with a bad signature.
+ *
+ * @param {Object} request as passed to authenticate().
+ * @return {Boolean}
+ */
+Authenticator.prototype.isSigned = function (request) {
+	assert.object(request, "request");
+
+	const headers = request.headers;
+	const name = this.au_policy.authorizationHeaderName;
+	return (
+		headers[utils.HEADER.SIG_INPUT] !== undefined ||
+		(name !== undefined && headers[name] !== undefined) ||
+		headers[utils.HEADER.AUTH] !== undefined ||
+		headers[utils.HEADER.SIG] !== undefined
+	);
+};
+
+/**
+ * Checks the body of a request against the digest its signature covers, for
+ * servers that only have the body after authenticating the headers.
+ *
+ * @param {Object} request as passed to authenticate().
+ * @param {Object} signature the parsed signature from the credentials.
+ * @param {Function} getBody returns the raw body, or a Promise of it.
+ * @return {Promise} rejecting with an HttpSignatureError if the digest is
+ *                   missing or does not match.
+ */
+Authenticator.prototype.verifyBody = function (request, signature, getBody) {
+	assert.object(request, "request");
+	assert.object(signature, "signature");
+	assert.func(getBody, "getBody");
+
+	const policy = this.au_policy;
+	return new Promise(function (resolve) {
+		resolve(checkDigest(policy, request, signature, getBody));
+	});
+};
+
+/**
+ * Reads the body of a request that nothing else has read yet, keeping to the
+ * policy's size limit.
+ *
+ * @param {Object} request a readable http.IncomingMessage.
+ * @return {Promise} resolving with a Buffer.
+ */
+Authenticator.prototype.readBody = function (request) {
+	return readBody(request, this.au_policy.bodyLimit);
+};
+
+/**
+ * Builds the headers asking a client to sign its request: a
+ * 'WWW-Authenticate' challenge naming the headers to sign for the
+ * draft-cavage scheme, and an RFC 9421 'Accept-Signature' header.
+ *
+ * @return {Object} header names and values.
+ */
+Authenticator.prototype.challenge = function () {
+	const policy = this.au_policy;
+
+	let authenticate = "Signature";
+	const params = [];
+	if (policy.realm !== undefined)
+		params.push(`realm="${policy.realm.replace(/(["\\])/g, "\\$1")}"`);
+	params.push(`headers="${(policy.headers || ["date"]).join(" ")}"`);
+	authenticate += ` ${params.join(",")}`;
+
+	const wanted = new Map();
+	if (policy.tag !== undefined) wanted.set("tag", policy.tag);
+	const accept = new Map();
+	accept.set(policy.label || "sig1", {
+		value: (policy.components || DEFAULT_COMPONENTS).map(
+			components.parseComponentName,
+		),
+		params: wanted,
+	});
+
+	return {
+		"WWW-Authenticate": authenticate,
+		"Accept-Signature": sf.serializeDictionary(accept),
+	};
+};
+
+///--- Exported API
+
+module.exports = {
+	Authenticator: Authenticator,
+	InvalidSignatureError: InvalidSignatureError,
+	InvalidDigestError: InvalidDigestError,
+	UnknownKeyError: UnknownKeyError,
+	NotAuthorizedError: NotAuthorizedError,
+
+	/**
+	 * The HTTP status code to reply with for an error from authenticate():
+	 * 403 when an authentic request was refused, 401 for any other signature
+	 * error, and otherwise the error's own statusCode, or 500.
+	 *
+	 * @param {Error} err
+	 * @return {Number}
+	 */
+	statusCode: function statusCode(err) {
+		if (err instanceof NotAuthorizedError) return 403;
+		if (err instanceof HttpSignatureError) return 401;
+		return err.statusCode || err.status || 500;
+	},
+
+	/**
+	 * Creates an object for checking the signatures on requests against a
+	 * policy. The server integrations are built on this, and it can be used
+	 * on its own for others.
+	 *
+	 * @param {Object} options object with:
+	 *                   - {Function} keyResolver required; called with the
+	 *                                keyId, the parsed signature and the
+	 *                                request, returning the key to verify with
+	 *                                (a public key, or a secret for HMAC), a
+	 *                                Promise of it, or null when the key is
+	 *                                not known.
+	 *                   - {Array} headers optional; headers that draft-cavage
+	 *                             signatures must cover (default: date).
+	 *                   - {Array} components optional; components that
+	 *                             RFC 9421 signatures must cover.
+	 *                   - {Array} algorithms optional; the algorithms to
+	 *                             accept (default: all).
+	 *                   - {Number} clockSkew optional; allowed clock skew in
+	 *                              seconds (default 300).
+	 *                   - {Boolean} strict optional; as for parseRequest().
+	 *                   - {String} authorizationHeaderName optional; as for
+	 *                              parseRequest().
+	 *                   - {String} label optional; the RFC 9421 signature to
+	 *                              check (default: the first).
+	 *                   - {String} tag optional; required RFC 9421 tag.
+	 *                   - {String} realm optional; for WWW-Authenticate.
+	 *                   - {String} scheme optional; the scheme of RFC 9421
+	 *                              target URIs (default: from the socket).
+	 *                   - {Boolean} digest optional; require requests with a
+	 *                               body to sign a digest of it (default
+	 *                               false). A signed digest is always
+	 *                               checked.
+	 *                   - {Boolean} hmac optional; the keys are HMAC
+	 *                               secrets, and every signature is verified
+	 *                               as an HMAC, including RFC 9421 signatures
+	 *                               without an alg parameter (default false,
+	 *                               when keys are public keys and HMAC
+	 *                               signatures are refused).
+	 *                   - {Number} bodyLimit optional; the most bytes of
+	 *                              body to read for a digest (default 1MiB).
+	 *                   - {Function} authorize optional; called with the
+	 *                                credentials and the request once the
+	 *                                signature is verified, returning whether
+	 *                                (or a Promise of whether) the key may make
+	 *                                the request.
+	 * @return {Authenticator}
+	 * @throws {TypeError} on bad input.
+	 */
+	createAuthenticator: function createAuthenticator(options) {
+		return new Authenticator(options);
+	},
+};
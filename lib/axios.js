@@ -0,0 +1,112 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Signing for axios: a request interceptor that signs each request once
+ * axios has serialized its body, and again on every redirect it follows.
+ */
+
+const assert = require("assert-plus");
+const outgoing = require("./outgoing");
+
+///--- Globals
+
+/*
+ * The request transforms and redirect hooks this module adds to a config,
+ * the latter mapped to the user's own hooks they wrap. A retried request goes
+ * through the interceptor again with the config of the first attempt, which
+ * already has them.
+ */
+const TRANSFORMS = new WeakSet();
+const REDIRECTS = new WeakMap();
+
+///--- Helpers
+
+/* Reads a body, as axios sends it, for a digest. */
+function bodyOf(data) {
+	if (data === undefined || data === null) return undefined;
+	if (typeof data === "string" || Buffer.isBuffer(data)) return data;
+	if (data instanceof ArrayBuffer) return Buffer.from(data);
+	if (ArrayBuffer.isView(data))
+		return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	throw new TypeError("the request body cannot be read for a digest");
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Adds a request interceptor to an axios instance that signs every request
+	 * it sends, as signRequest() would:
+	 *
+	 *     const client = axios.create({ baseURL: "https://example.com" });
+	 *     httpSignature.axios(client, options);
+	 *
+	 * Requests are signed once their body is serialized, so that it can be
+	 * digested, and signed again for each redirect followed and each time
+	 * they are retried (as by axios-retry), with a new Date header. Redirects
+	 * to another origin are followed without a signature.
+	 *
+	 * @param {Object} instance the axios instance (or axios itself).
+	 * @param {Object} options signing parameters object, as for
+	 *                   signRequest(), except that body is not taken, plus:
+	 *                   - {Boolean} digest optional; add a digest of the body
+	 *                               (default false), which has to be a
+	 *                               string, Buffer or object axios serializes
+	 *                               as JSON or a query string.
+	 * @return {Number} the interceptor id, for interceptors.request.eject().
+	 * @throws {TypeError} on bad input.
+	 */
+	axios: function axios(instance, options) {
+		assert.ok(instance, "instance");
+		assert.func(instance.getUri, "instance.getUri");
+		assert.object(options, "options");
+		assert.optionalBool(options.digest, "options.digest");
+		assert.string(options.keyId, "options.keyId");
+		assert.ok(options.key, "options.key");
+		if (options.body !== undefined)
+			throw new TypeError("options.body is taken from each request");
+
+		return instance.interceptors.request.use(function signConfig(config) {
+			const url = new URL(instance.getUri(config));
+			const method = (config.method || "get").toUpperCase();
+			let body;
+
+			function transform(data, headers) {
+				if (options.digest) body = bodyOf(data);
+				outgoing.signOutgoing(url, method, headers, options, body);
+				return data;
+			}
+			TRANSFORMS.add(transform);
+
+			let wrapped = config.beforeRedirect;
+			if (REDIRECTS.has(wrapped)) wrapped = REDIRECTS.get(wrapped);
+
+			/* A 303, or a 301 or 302 after a POST, is followed with a GET. */
+			function beforeRedirect(redirect, response, request) {
+				if (wrapped !== undefined) wrapped(redirect, response, request);
+				const location = new URL(redirect.href);
+				if (location.origin !== url.origin) {
+					outgoing.removeSignature(redirect.headers, options);
+					return;
+				}
+				outgoing.signOutgoing(
+					location,
+					redirect.method,
+					redirect.headers,
+					options,
+					redirect.method === method ? body : undefined,
+				);
+			}
+			REDIRECTS.set(beforeRedirect, wrapped);
+
+			config.transformRequest = []
+				.concat(config.transformRequest || [])
+				.filter(function (fn) {
+					return !TRANSFORMS.has(fn);
+				})
+				.concat(transform);
+			config.beforeRedirect = beforeRedirect;
+			return config;
+		});
+	},
+};
@@ -0,0 +1,306 @@
+// Copyright 2026 Firefish.
+
+/*
+ * The crypto backends that signatures are made and checked with. The native
+ * backend keeps keys as crypto.KeyObjects and uses node's crypto directly;
+ * its keys have the parts of the sshpk key interface that the signer and
+ * verifier use, so either kind of key can be used in the same way. Keys that
+ * node cannot read itself, such as SSH-format keys, and DSA keys are always
+ * left to sshpk.
+ */
+
+const assert = require("assert-plus");
+const crypto = require("crypto");
+const sshpk = require("sshpk");
+
+///--- Globals
+
+const BACKEND = {
+	NATIVE: "native",
+	SSHPK: "sshpk",
+};
+
+let defaultBackend = BACKEND.NATIVE;
+
+/* The ECDSA curves that sshpk knows, by their OpenSSL names. */
+const CURVES = {
+	prime256v1: { curve: "nistp256", size: 256 },
+	secp384r1: { curve: "nistp384", size: 384 },
+	secp521r1: { curve: "nistp521", size: 521 },
+};
+
+///--- Helpers
+
+function backendOf(name) {
+	assert.optionalString(name, "options.backend");
+	if (name === undefined) return defaultBackend;
+	if (name !== BACKEND.NATIVE && name !== BACKEND.SSHPK)
+		throw new TypeError(`options.backend ${name} is not supported`);
+	return name;
+}
+
+/* KeyObjects are not there to be given on runtimes older than node 11. */
+function isKeyObject(key) {
+	return crypto.KeyObject !== undefined && key instanceof crypto.KeyObject;
+}
+
+/*
+ * Describes a KeyObject as sshpk would, or returns undefined if the native
+ * backend does not take keys of its type.
+ */
+function describe(keyObject) {
+	const type = keyObject.asymmetricKeyType;
+	const details = keyObject.asymmetricKeyDetails || {};
+	if (type === "rsa") return { type: "rsa", size: details.modulusLength };
+	if (type === "ed25519") return { type: "ed25519", size: 256 };
+	if (type === "ec" && CURVES[details.namedCurve] !== undefined)
+		return {
+			type: "ecdsa",
+			size: CURVES[details.namedCurve].size,
+			curve: CURVES[details.namedCurve].curve,
+		};
+	return undefined;
+}
+
+/*
+ * Reads a key with node's crypto, returning undefined for sshpk to read it
+ * instead when node cannot or the native backend does not take its type.
+ */
+function nativeKey(read) {
+	let keyObject;
+	try {
+		keyObject = read();
+	} catch (e) {
+		return undefined;
+	}
+	const description = describe(keyObject);
+	if (description === undefined) return undefined;
+	return new NativeKey(keyObject, description);
+}
+
+function hashFor(key, hashAlgo) {
+	const hash = hashAlgo === undefined ? key.defaultHashAlgorithm() : hashAlgo;
+	assert.string(hash, "hash algorithm");
+	if (key.type === "ed25519" && hash.toLowerCase() !== "sha512")
+		throw new Error("ED25519 only supports the use of SHA-512 hashes");
+	return hash;
+}
+
+/*
+ * Ed25519 signs the message itself rather than a hash, so it is buffered,
+ * as the latin1 bytes of strings just as sshpk takes them. Other keys keep
+ * only the hash state.
+ */
+function update(state, chunk) {
+	if (!Array.isArray(state)) {
+		state.update(chunk);
+		return;
+	}
+	state.push(typeof chunk === "string" ? Buffer.from(chunk, "binary") : chunk);
+}
+
+///--- NativeKey
+
+/* See privateKey() and publicKey() */
+function NativeKey(keyObject, description) {
+	this.type = description.type;
+	this.size = description.size;
+	this.curve = description.curve;
+	this.nk_keyObject = keyObject;
+}
+
+/* The hash sshpk picks for a key of this type and size. */
+NativeKey.prototype.defaultHashAlgorithm = function () {
+	if (this.type === "ed25519") return "sha512";
+	if (this.type === "ecdsa") {
+		if (this.size <= 256) return "sha256";
+		if (this.size <= 384) return "sha384";
+		return "sha512";
+	}
+	return "sha256";
+};
+
+/**
+ * Starts a signature, as sshpk.PrivateKey.createSign() does: update() it with
+ * the data, then sign() returns the signature, with its hashAlgorithm,
+ * toString() for its base64 form and toBuffer() for its bytes (DER for
+ * ECDSA).
+ *
+ * @param {String} hashAlgo optional; the hash (default for the key).
+ * @return {NativeSigner}
+ */
+NativeKey.prototype.createSign = function (hashAlgo) {
+	assert.strictEqual(this.nk_keyObject.type, "private", "private key");
+	return new NativeSigner(this, hashFor(this, hashAlgo));
+};
+
+/**
+ * Starts checking a signature, as sshpk.Key.createVerify() does: update() it
+ * with the data, then verify(signature, "base64") returns whether it is good.
+ *
+ * @param {String} hashAlgo optional; the hash (default for the key).
+ * @return {NativeVerifier}
+ */
+NativeKey.prototype.createVerify = function (hashAlgo) {
+	return new NativeVerifier(this, hashFor(this, hashAlgo));
+};
+
+/* See NativeKey.createSign() */
+function NativeSigner(key, hashAlgo) {
+	this.ns_key = key;
+	this.ns_hashAlgo = hashAlgo;
+	this.ns_state = key.type === "ed25519" ? [] : crypto.createSign(hashAlgo);
+}
+
+NativeSigner.prototype.update = function (chunk) {
+	update(this.ns_state, chunk);
+	return this;
+};
+
+NativeSigner.prototype.sign = function () {
+	const keyObject = this.ns_key.nk_keyObject;
+	const signature = Array.isArray(this.ns_state)
+		? crypto.sign(null, Buffer.concat(this.ns_state), keyObject)
+		: this.ns_state.sign(keyObject);
+	return {
+		hashAlgorithm: this.ns_hashAlgo,
+		curve: this.ns_key.curve,
+		toBuffer: function () {
+			return signature;
+		},
+		toString: function () {
+			return signature.toString("base64");
+		},
+	};
+};
+
+/* See NativeKey.createVerify() */
+function NativeVerifier(key, hashAlgo) {
+	this.nv_key = key;
+	this.nv_state = key.type === "ed25519" ? [] : crypto.createVerify(hashAlgo);
+}
+
+NativeVerifier.prototype.update = function (chunk) {
+	update(this.nv_state, chunk);
+	return this;
+};
+
+NativeVerifier.prototype.verify = function (signature, fmt) {
+	assert.string(signature, "signature");
+	const sig = Buffer.from(signature, fmt || "base64");
+	const keyObject = this.nv_key.nk_keyObject;
+	if (Array.isArray(this.nv_state))
+		return crypto.verify(null, Buffer.concat(this.nv_state), keyObject, sig);
+	return this.nv_state.verify(keyObject, sig);
+};
+
+///--- Exported API
+
+module.exports = {
+	BACKEND: BACKEND,
+
+	/**
+	 * Sets the backend used when options.backend is not given, and by
+	 * verifySignature().
+	 *
+	 * @param {String} name "native" (the default) or "sshpk".
+	 * @throws {TypeError} on bad input.
+	 */
+	setCryptoBackend: function setCryptoBackend(name) {
+		assert.string(name, "name");
+		defaultBackend = backendOf(name);
+	},
+
+	/**
+	 * Works out the backend to use.
+	 *
+	 * @param {String} name optional; as given in options.backend.
+	 * @return {String} the backend.
+	 * @throws {TypeError} for an unknown backend.
+	 */
+	backendOf: backendOf,
+
+	/**
+	 * Whether a key is a crypto.KeyObject.
+	 *
+	 * @param {Object} key
+	 * @return {Boolean}
+	 */
+	isKeyObject: isKeyObject,
+
+	/**
+	 * Whether a key is one of the native backend's.
+	 *
+	 * @param {Object} key
+	 * @return {Boolean}
+	 */
+	isNativeKey: function isNativeKey(key) {
+		return key instanceof NativeKey;
+	},
+
+	/**
+	 * Reads a private key for signing: a NativeKey with the native backend
+	 * where node can read it and its type is not DSA, and a sshpk.PrivateKey
+	 * otherwise. Keys that are already sshpk.PrivateKeys are returned as they
+	 * are.
+	 *
+	 * @param {String|Buffer|KeyObject|sshpk.PrivateKey} key
+	 * @param {String} passphrase optional; for encrypted keys.
+	 * @param {String} backend optional; "native" or "sshpk".
+	 * @return {NativeKey|sshpk.PrivateKey}
+	 * @throws {sshpk.KeyParseError} if key was bad.
+	 */
+	privateKey: function privateKey(key, passphrase, backend) {
+		let text = key;
+		if (isKeyObject(key)) {
+			assert.strictEqual(key.type, "private", "options.key must be private");
+			if (backendOf(backend) === BACKEND.NATIVE) {
+				const nk = nativeKey(function () {
+					return key;
+				});
+				if (nk !== undefined) return nk;
+			}
+			text = key.export({ type: "pkcs8", format: "pem" });
+		} else if (typeof key !== "string" && !Buffer.isBuffer(key)) {
+			return key;
+		} else if (backendOf(backend) === BACKEND.NATIVE) {
+			const nk = nativeKey(function () {
+				return crypto.createPrivateKey({ key: key, passphrase: passphrase });
+			});
+			if (nk !== undefined) return nk;
+		}
+		return sshpk.parsePrivateKey(text, "auto", { passphrase: passphrase });
+	},
+
+	/**
+	 * Reads a public key for verifying, as privateKey() does. Private keys
+	 * are read for their public part.
+	 *
+	 * @param {String|Buffer|KeyObject|sshpk.Key} key
+	 * @param {String} backend optional; "native" or "sshpk".
+	 * @return {NativeKey|sshpk.Key}
+	 * @throws {sshpk.KeyParseError} if key was bad.
+	 */
+	publicKey: function publicKey(key, backend) {
+		let text = key;
+		if (isKeyObject(key)) {
+			const keyObject =
+				key.type === "public" ? key : crypto.createPublicKey(key);
+			if (backendOf(backend) === BACKEND.NATIVE) {
+				const nk = nativeKey(function () {
+					return keyObject;
+				});
+				if (nk !== undefined) return nk;
+			}
+			text = keyObject.export({ type: "spki", format: "pem" });
+		} else if (typeof key !== "string" && !Buffer.isBuffer(key)) {
+			return key;
+		} else if (backendOf(backend) === BACKEND.NATIVE) {
+			const nk = nativeKey(function () {
+				return crypto.createPublicKey(key);
+			});
+			if (nk !== undefined) return nk;
+		}
+		return sshpk.parseKey(text);
+	},
+};
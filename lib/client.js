@@ -0,0 +1,242 @@
+// Copyright 2026 Firefish.
+
+/*
+ * A small signing HTTP client for servers whose signature format is not
+ * known up front, such as remote ActivityPub inboxes: it "double-knocks",
+ * trying the other format when the first is refused.
+ */
+
+const assert = require("assert-plus");
+const components = require("./components");
+const signer = require("./signer");
+const sf = require("./structured");
+const utils = require("./utils");
+
+///--- Globals
+
+const FORMAT = utils.FORMAT;
+
+/* Options of the client itself, as opposed to signing options. */
+const CLIENT_OPTIONS = [
+	"method",
+	"headers",
+	"body",
+	"signal",
+	"redirect",
+	"fetch",
+	"formats",
+	"format",
+	"digest",
+	FORMAT.CAVAGE,
+	FORMAT.RFC9421,
+];
+
+/* What each format signs unless told otherwise. */
+const DEFAULTS = {
+	[FORMAT.CAVAGE]: {
+		headers: ["(request-target)", "host", "date"],
+		digestHeader: "digest",
+	},
+	[FORMAT.RFC9421]: {
+		digestHeader: "content-digest",
+	},
+};
+
+/*
+ * The format that last worked for each origin, when the caller does not
+ * keep its own. Only the most recently used origins are kept.
+ */
+const FORMATS = new Map();
+const MAX_ORIGINS = 1000;
+
+///--- Helpers
+
+/* Whether a server refused a request, perhaps for its signature. */
+function refused(response) {
+	return response.status === 401 || response.status === 400;
+}
+
+function otherFormat(format) {
+	return format === FORMAT.RFC9421 ? FORMAT.CAVAGE : FORMAT.RFC9421;
+}
+
+function remember(formats, origin, format) {
+	formats.delete(origin);
+	if (format === undefined) return;
+	formats.set(origin, format);
+	if (formats === FORMATS && formats.size > MAX_ORIGINS)
+		formats.delete(formats.keys().next().value);
+}
+
+/*
+ * Reads what a refusal asks of a signature in the given format: the label,
+ * components, tag and nonce of the first signature in its Accept-Signature
+ * header for RFC 9421, and the headers of its 'WWW-Authenticate: Signature'
+ * challenge for draft-cavage. Hints that cannot be read are ignored.
+ */
+function hintsOf(response, format) {
+	if (format === FORMAT.CAVAGE) {
+		const challenge = response.headers.get("www-authenticate");
+		const m = /^\s*Signature\b.*\bheaders="([^"]*)"/i.exec(challenge || "");
+		if (m === null) return undefined;
+		return { headers: m[1].split(" ").filter(Boolean) };
+	}
+
+	const accept = response.headers.get("accept-signature");
+	if (accept === null) return undefined;
+	let wanted;
+	try {
+		wanted = sf.parseDictionary(accept);
+	} catch (e) {
+		if (e instanceof sf.StructuredFieldError) return undefined;
+		throw e;
+	}
+	const entry = Array.from(wanted.entries()).find(function (e) {
+		return Array.isArray(e[1].value);
+	});
+	if (entry === undefined) return undefined;
+
+	const params = entry[1].params;
+	const hints = {
+		label: entry[0],
+		headers: entry[1].value.map(components.componentName),
+	};
+	if (typeof params.get("tag") === "string") hints.tag = params.get("tag");
+	if (typeof params.get("nonce") === "string")
+		hints.nonce = params.get("nonce");
+	return hints;
+}
+
+/*
+ * Works out the signing options for a format: the client's own, then the
+ * defaults for the format, those given for it in options[format], and the
+ * server's hints on top.
+ */
+function signingOptions(options, format, hints) {
+	const signing = {};
+	Object.keys(options).forEach(function (name) {
+		if (CLIENT_OPTIONS.indexOf(name) === -1) signing[name] = options[name];
+	});
+	signing.format = format;
+	return Object.assign(signing, DEFAULTS[format], options[format], hints);
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Sends a signed request with fetch(), trying the other signature format
+	 * once if the server answers 401 or 400:
+	 *
+	 *     httpSignature
+	 *       .request("https://example.com/inbox", {
+	 *         method: "POST",
+	 *         headers: { "Content-Type": "application/activity+json" },
+	 *         body: JSON.stringify(activity),
+	 *         keyId: "https://example.org/actor#main-key",
+	 *         key: privateKey,
+	 *         digest: true,
+	 *       })
+	 *       .then(function (response) { ... });
+	 *
+	 * The retry follows the server's Accept-Signature header (for RFC 9421)
+	 * or 'WWW-Authenticate: Signature' challenge (for draft-cavage) where it
+	 * sent one. The format that gets a successful response is remembered for
+	 * the origin and tried first next time, and forgotten if both fail.
+	 *
+	 * @param {String|URL} url the URL to request.
+	 * @param {Object} options the request, as for fetch(): method (default
+	 *                   'GET'), headers, a string or Buffer body, signal and
+	 *                   redirect; signing parameters, as for signRequest(),
+	 *                   such as keyId and key; and:
+	 *                   - {String} format optional; the format to try first
+	 *                              for an origin it has nothing remembered
+	 *                              for (default "cavage").
+	 *                   - {Object} cavage optional; signing options for the
+	 *                              draft-cavage format, such as headers
+	 *                              (default ['(request-target)', 'host',
+	 *                              'date']).
+	 *                   - {Object} rfc9421 optional; signing options for the
+	 *                              RFC 9421 format, such as headers (the
+	 *                              covered components), label and tag.
+	 *                   - {Boolean} digest optional; add a digest of the body
+	 *                               (default false): a Digest header for
+	 *                               draft-cavage and a Content-Digest header
+	 *                               for RFC 9421.
+	 *                   - {Map} formats optional; where to remember formats
+	 *                           by origin, instead of a Map shared by all
+	 *                           requests.
+	 *                   - {Function} fetch optional; the fetch() to use.
+	 * @return {Promise} resolving with the last Response.
+	 * @throws {TypeError} on bad input.
+	 */
+	request: function request(url, options) {
+		assert.object(options, "options");
+		assert.optionalString(options.method, "options.method");
+		assert.optionalString(options.format, "options.format");
+		assert.optionalObject(options.cavage, "options.cavage");
+		assert.optionalObject(options.rfc9421, "options.rfc9421");
+		assert.optionalBool(options.digest, "options.digest");
+		assert.optionalObject(options.formats, "options.formats");
+		assert.optionalFunc(options.fetch, "options.fetch");
+		if (
+			options.format !== undefined &&
+			options.format !== FORMAT.CAVAGE &&
+			options.format !== FORMAT.RFC9421
+		)
+			throw new TypeError(`options.format ${options.format} is not supported`);
+		if (
+			options.body !== undefined &&
+			typeof options.body !== "string" &&
+			!Buffer.isBuffer(options.body)
+		)
+			throw new TypeError("options.body must be a string or Buffer");
+
+		const target = new URL(url);
+		const formats = options.formats || FORMATS;
+		const fetchRequest = options.fetch || fetch;
+		const method = options.method || "GET";
+		const first = formats.get(target.origin) || options.format || FORMAT.CAVAGE;
+
+		function send(format, hints) {
+			const headers = signer.signFetchRequest(
+				{
+					url: target.href,
+					method: method,
+					headers: options.headers,
+					body: options.digest ? options.body : undefined,
+				},
+				signingOptions(options, format, hints),
+			);
+			return fetchRequest(target.href, {
+				method: method,
+				headers: headers,
+				body: options.body,
+				signal: options.signal,
+				redirect: options.redirect,
+			});
+		}
+
+		return new Promise(function (resolve) {
+			resolve(send(first, undefined));
+		}).then(function (response) {
+			if (!refused(response)) {
+				if (response.ok) remember(formats, target.origin, first);
+				return response;
+			}
+
+			const second = otherFormat(first);
+			const hints = hintsOf(response, second);
+			return response
+				.arrayBuffer()
+				.then(function () {
+					return send(second, hints);
+				})
+				.then(function (retried) {
+					if (refused(retried)) remember(formats, target.origin, undefined);
+					else if (retried.ok) remember(formats, target.origin, second);
+					return retried;
+				});
+		});
+	},
+};
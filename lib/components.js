@@ -0,0 +1,356 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Component values and signature bases for HTTP Message Signatures
+ * (RFC 9421).
+ *
+ * These functions work on a plain description of the HTTP message rather
+ * than on a particular request or response implementation:
+ *
+ *     {
+ *       "method": "POST",
+ *       "target": "/foo?bar=baz",
+ *       "scheme": "https",
+ *       "authority": "example.com",
+ *       "status": 200,
+ *       "headers": { "content-type": "application/json", ... },
+ *       "trailers": { ... },
+ *       "request": { ... }
+ *     }
+ *
+ * Header and trailer names are lowercase, and each value is either a string
+ * or an array holding one string per field line. "status" is only used for
+ * responses, and "request" describes the request a response answers (used by
+ * the "req" component parameter).
+ */
+
+const assert = require("assert-plus");
+const util = require("util");
+const sf = require("./structured");
+const utils = require("./utils");
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+///--- Globals
+
+/* Fields known to be structured, for the "sf" and "key" parameters. */
+const SF_TYPES = {
+	"accept-signature": "dictionary",
+	"cache-status": "list",
+	"cdn-cache-control": "dictionary",
+	"content-digest": "dictionary",
+	priority: "dictionary",
+	"proxy-status": "list",
+	"repr-digest": "dictionary",
+	signature: "dictionary",
+	"signature-input": "dictionary",
+	"want-content-digest": "dictionary",
+	"want-repr-digest": "dictionary",
+};
+
+const DEFAULT_PORTS = {
+	http: "80",
+	https: "443",
+};
+
+const COMPONENT_PARAMS = {
+	sf: true,
+	key: true,
+	bs: true,
+	req: true,
+	tr: true,
+	name: true,
+};
+
+///--- Specific Errors
+
+function InvalidHeaderError(message) {
+	HttpSignatureError.call(this, message, InvalidHeaderError);
+}
+util.inherits(InvalidHeaderError, HttpSignatureError);
+
+function InvalidParamsError(message) {
+	HttpSignatureError.call(this, message, InvalidParamsError);
+}
+util.inherits(InvalidParamsError, HttpSignatureError);
+
+function MissingHeaderError(message) {
+	HttpSignatureError.call(this, message, MissingHeaderError);
+}
+util.inherits(MissingHeaderError, HttpSignatureError);
+
+///--- Helpers
+
+function param(component, name) {
+	return component.params ? component.params.get(name) : undefined;
+}
+
+/*
+ * Returns the component's identifier in the form used in `params.headers` of
+ * parsed signatures, e.g. 'content-type' or '@query-param;name="id"'.
+ */
+function componentName(component) {
+	return component.value + sf.serializeParams(component.params);
+}
+
+/*
+ * The reverse of componentName(): turns an identifier such as
+ * 'content-digest;key="sha-256"' back into a structured field Item.
+ */
+function parseComponentName(name) {
+	assert.string(name, "name");
+
+	const i = name.indexOf(";");
+	const id = (i === -1 ? name : name.slice(0, i)).toLowerCase();
+	try {
+		return sf.parseItem(sf.serializeItem(id) + (i === -1 ? "" : name.slice(i)));
+	} catch (e) {
+		if (e instanceof sf.StructuredFieldError)
+			throw new InvalidParamsError(`${name} is not a valid component`);
+		throw e;
+	}
+}
+
+function fieldLines(fields, name) {
+	const value = fields ? fields[name] : undefined;
+	if (value === undefined || value === null) return undefined;
+
+	return (Array.isArray(value) ? value : [value]).map(function (line) {
+		return String(line).replace(/\r?\n[ \t]+/g, " ").trim();
+	});
+}
+
+function splitTarget(target) {
+	let t = target.split("#")[0];
+	if (/^[a-z][a-z0-9+.-]*:\/\//i.test(t)) {
+		let url;
+		try {
+			url = new URL(t);
+		} catch (e) {
+			throw new InvalidParamsError(`${target} is not a valid request target`);
+		}
+		t = url.pathname + url.search;
+	}
+	const i = t.indexOf("?");
+	return {
+		path: (i === -1 ? t : t.slice(0, i)) || "/",
+		query: i === -1 ? "" : t.slice(i + 1),
+	};
+}
+
+function authority(message) {
+	if (!message.authority)
+		throw new MissingHeaderError("@authority was not in the message");
+
+	const scheme = (message.scheme || "http").toLowerCase();
+	const value = String(message.authority).toLowerCase();
+	const port = `:${DEFAULT_PORTS[scheme]}`;
+	if (DEFAULT_PORTS[scheme] && value.endsWith(port))
+		return value.slice(0, -port.length);
+	return value;
+}
+
+function target(message) {
+	if (typeof message.target !== "string" || message.target === "")
+		throw new MissingHeaderError("@request-target was not in the message");
+	return message.target;
+}
+
+function derivedValue(component, name, message) {
+	switch (name) {
+		case "@method":
+			if (!message.method)
+				throw new MissingHeaderError("@method was not in the message");
+			return message.method.toUpperCase();
+		case "@target-uri":
+			if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target(message)))
+				return message.target;
+			return `${(message.scheme || "http").toLowerCase()}://${authority(
+				message,
+			)}${target(message)}`;
+		case "@authority":
+			return authority(message);
+		case "@scheme":
+			return (message.scheme || "http").toLowerCase();
+		case "@request-target":
+			return target(message);
+		case "@path":
+			return splitTarget(target(message)).path;
+		case "@query":
+			return `?${splitTarget(target(message)).query}`;
+		case "@query-param": {
+			const wanted = param(component, "name");
+			if (typeof wanted !== "string")
+				throw new InvalidParamsError("@query-param requires a name parameter");
+			let name;
+			try {
+				name = decodeURIComponent(wanted);
+			} catch (e) {
+				throw new InvalidParamsError(`${wanted} is not a valid query name`);
+			}
+			const query = new URLSearchParams(splitTarget(target(message)).query);
+			const values = query.getAll(name);
+			if (values.length === 0)
+				throw new MissingHeaderError(`${wanted} was not in the query`);
+			if (values.length > 1)
+				throw new InvalidParamsError(
+					`${wanted} appears more than once in the query`,
+				);
+			return encodeURIComponent(values[0]);
+		}
+		case "@status":
+			if (message.status === undefined)
+				throw new InvalidParamsError("@status is only valid for responses");
+			return String(message.status);
+		default:
+			throw new InvalidParamsError(`${name} is not a supported component`);
+	}
+}
+
+function fieldValue(component, name, message) {
+	const trailer = param(component, "tr") === true;
+	const lines = fieldLines(trailer ? message.trailers : message.headers, name);
+	if (lines === undefined)
+		throw new MissingHeaderError(
+			`${name} was not in the ${trailer ? "trailers" : "request"}`,
+		);
+
+	if (param(component, "bs") === true) {
+		if (
+			param(component, "sf") !== undefined ||
+			param(component, "key") !== undefined
+		)
+			throw new InvalidParamsError(`${name} cannot combine bs with sf or key`);
+		return lines
+			.map(function (line) {
+				return sf.serializeItem(Buffer.from(line));
+			})
+			.join(", ");
+	}
+
+	const value = lines.join(", ");
+	const key = param(component, "key");
+	if (param(component, "sf") !== true && key === undefined) return value;
+
+	const type = key !== undefined ? "dictionary" : SF_TYPES[name];
+	if (type === undefined)
+		throw new InvalidParamsError(`${name} is not a known structured field`);
+
+	let parsed;
+	try {
+		if (type === "dictionary") parsed = sf.parseDictionary(value);
+		else if (type === "list") parsed = sf.parseList(value);
+		else parsed = sf.parseItem(value);
+	} catch (e) {
+		if (e instanceof sf.StructuredFieldError)
+			throw new InvalidHeaderError(
+				`${name} is not a valid ${type}: ${e.message}`,
+			);
+		throw e;
+	}
+
+	if (key === undefined) {
+		if (type === "dictionary") return sf.serializeDictionary(parsed);
+		if (type === "list") return sf.serializeList(parsed);
+		return sf.serializeItem(parsed);
+	}
+
+	if (typeof key !== "string")
+		throw new InvalidParamsError(`${name} key parameter must be a string`);
+	if (!parsed.has(key))
+		throw new MissingHeaderError(`${key} was not in the ${name} dictionary`);
+	const member = parsed.get(key);
+	return Array.isArray(member.value)
+		? sf.serializeInnerList(member)
+		: sf.serializeItem(member);
+}
+
+/**
+ * Computes the value of a single covered component.
+ *
+ * @param {Object} component a structured field Item naming the component.
+ * @param {Object} message the message description (see above).
+ * @return {String} the component value.
+ * @throws {InvalidParamsError} if the component identifier is invalid.
+ * @throws {MissingHeaderError} if the component is not in the message.
+ */
+function componentValue(component, message) {
+	assert.object(component, "component");
+	assert.object(message, "message");
+
+	const name = component.value;
+	if (typeof name !== "string" || name === "" || name !== name.toLowerCase())
+		throw new InvalidParamsError("component names must be lowercase strings");
+
+	if (component.params) {
+		component.params.forEach(function (_, p) {
+			if (!COMPONENT_PARAMS[p])
+				throw new InvalidParamsError(
+					`${p} is not a supported component parameter`,
+				);
+		});
+	}
+
+	let msg = message;
+	if (param(component, "req") === true) {
+		if (!message.request)
+			throw new MissingHeaderError(`${name};req has no request to refer to`);
+		msg = message.request;
+	}
+
+	if (name.charAt(0) === "@") {
+		if (name === "@signature-params")
+			throw new InvalidParamsError("@signature-params cannot be covered");
+		if (name !== "@query-param" && param(component, "name") !== undefined)
+			throw new InvalidParamsError(`${name} does not take a name parameter`);
+		return derivedValue(component, name, msg);
+	}
+
+	if (param(component, "name") !== undefined)
+		throw new InvalidParamsError(`${name} does not take a name parameter`);
+	return fieldValue(component, name, msg);
+}
+
+/**
+ * Builds the signature base for a list of covered components.
+ *
+ * @param {Array} components structured field Items naming the components.
+ * @param {Map} params the signature parameters.
+ * @param {Object} message the message description (see above).
+ * @return {String} the signature base, ready to be signed or verified.
+ * @throws {InvalidParamsError} if a component is invalid or repeated.
+ * @throws {MissingHeaderError} if a component is not in the message.
+ */
+function signatureBase(components, params, message) {
+	assert.array(components, "components");
+
+	const seen = {};
+	let base = "";
+	components.forEach(function (component) {
+		const id = sf.serializeItem(component);
+		if (seen[id])
+			throw new InvalidParamsError(
+				`${componentName(component)} is covered more than once`,
+			);
+		seen[id] = true;
+		base += `${id}: ${componentValue(component, message)}\n`;
+	});
+
+	base += `"@signature-params": ${sf.serializeInnerList({
+		value: components,
+		params: params,
+	})}`;
+
+	return base;
+}
+
+///--- Exported API
+
+module.exports = {
+	SF_TYPES: SF_TYPES,
+
+	componentName: componentName,
+	parseComponentName: parseComponentName,
+	componentValue: componentValue,
+	signatureBase: signatureBase,
+};
@@ -0,0 +1,509 @@
+// Copyright 2026 Firefish.
+
+const assert = require("assert-plus");
+const crypto = require("crypto");
+const stream = require("stream");
+const util = require("util");
+const sf = require("./structured");
+const utils = require("./utils");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+const InvalidAlgorithmError = utils.InvalidAlgorithmError;
+
+/*
+ * RFC 3230 and RFC 9530 digest algorithm names (lowercased) and their node
+ * names. RFC 9530 uses the lowercase names as dictionary keys.
+ */
+const DIGEST_ALGOS = {
+	"sha-256": "sha256",
+	"sha-512": "sha512",
+};
+
+const DIGEST_NAMES = {
+	"sha-256": "SHA-256",
+	"sha-512": "SHA-512",
+};
+
+/* The structured-field digest headers of RFC 9530. */
+const SF_DIGEST_HEADERS = ["content-digest", "repr-digest"];
+
+///--- Specific Errors
+
+function MissingHeaderError(message) {
+	HttpSignatureError.call(this, message, MissingHeaderError);
+}
+util.inherits(MissingHeaderError, HttpSignatureError);
+
+function InvalidHeaderError(message) {
+	HttpSignatureError.call(this, message, InvalidHeaderError);
+}
+util.inherits(InvalidHeaderError, HttpSignatureError);
+
+///--- Helpers
+
+function hash(algorithm, body) {
+	return crypto
+		.createHash(DIGEST_ALGOS[algorithm])
+		.update(body)
+		.digest();
+}
+
+/*
+ * Finds the value a header had when it was signed, straight out of the
+ * signing string of a parsed signature.
+ */
+function signedHeader(parsedSignature, name) {
+	assert.object(parsedSignature, "parsedSignature");
+	assert.string(parsedSignature.signingString, "parsedSignature.signingString");
+
+	/* RFC 9421 may cover a structured field re-serialized with ;sf. */
+	const prefixes =
+		parsedSignature.format === utils.FORMAT.RFC9421
+			? [`"${name}": `, `"${name}";sf: `]
+			: [`${name}: `];
+	const lines = parsedSignature.signingString.split("\n");
+	for (let i = 0; i < lines.length; i++) {
+		for (let j = 0; j < prefixes.length; j++) {
+			if (lines[i].indexOf(prefixes[j]) === 0)
+				return lines[i].slice(prefixes[j].length);
+		}
+	}
+	throw new MissingHeaderError(`${name} was not a signed header`);
+}
+
+/* Parses "SHA-256=abc=, SHA-512=def=" into [["sha-256", <Buffer>], ...]. */
+function parseDigest(value) {
+	return value
+		.split(",")
+		.map(function (d) {
+			const i = d.indexOf("=");
+			if (i === -1) return null;
+			return [
+				d.slice(0, i).trim().toLowerCase(),
+				Buffer.from(d.slice(i + 1).trim(), "base64"),
+			];
+		})
+		.filter(function (d) {
+			return d !== null;
+		});
+}
+
+/* Parses "sha-256=:abc=:, sha-512=:def=:" the same way as parseDigest(). */
+function parseContentDigest(name, value) {
+	let dict;
+	try {
+		dict = sf.parseDictionary(value);
+	} catch (e) {
+		if (e instanceof sf.StructuredFieldError)
+			throw new InvalidHeaderError(`${name} header is invalid: ${e.message}`);
+		throw e;
+	}
+
+	const digests = [];
+	dict.forEach(function (member, alg) {
+		if (!Buffer.isBuffer(member.value))
+			throw new InvalidHeaderError(`${name} ${alg} must be a byte sequence`);
+		digests.push([alg, member.value]);
+	});
+	return digests;
+}
+
+/*
+ * Parses a Want-Content-Digest or Want-Repr-Digest value into a Map of
+ * algorithm to preference (1 to 10). Algorithms with a preference of 0 or an
+ * invalid one are left out.
+ */
+function parseWant(value) {
+	let dict;
+	try {
+		dict = sf.parseDictionary(value);
+	} catch (e) {
+		if (e instanceof sf.StructuredFieldError)
+			throw new InvalidHeaderError(
+				`digest preferences are invalid: ${e.message}`,
+			);
+		throw e;
+	}
+
+	const want = new Map();
+	dict.forEach(function (member, alg) {
+		const weight = member.value;
+		if (Number.isInteger(weight) && weight > 0 && weight <= 10)
+			want.set(alg, weight);
+	});
+	return want;
+}
+
+/*
+ * Picks the supported algorithm a Want-Content-Digest value likes best,
+ * preferring the earlier one on ties.
+ */
+function preferredAlgorithm(value) {
+	let best;
+	parseWant(value).forEach(function (weight, alg) {
+		if (DIGEST_ALGOS[alg] === undefined) return;
+		if (best === undefined || weight > best[1]) best = [alg, weight];
+	});
+	if (best === undefined)
+		throw new InvalidAlgorithmError(
+			`no supported digest algorithm in "${value}"`,
+		);
+	return best[0];
+}
+
+/*
+ * Finds the digests in the digest header covered by a signature that can be
+ * checked here: those with a supported algorithm and, for the RFC 9530
+ * headers, one that options.want accepts. Throws if there are none.
+ */
+function signedDigests(parsedSignature, options) {
+	assert.optionalString(options.header, "options.header");
+	assert.optionalString(options.want, "options.want");
+
+	const name = (options.header || "digest").toLowerCase();
+	const sfHeader = SF_DIGEST_HEADERS.indexOf(name) !== -1;
+	if (name !== "digest" && !sfHeader)
+		throw new TypeError(`options.header ${options.header} is not supported`);
+
+	const value = signedHeader(parsedSignature, name);
+	let digests = sfHeader ? parseContentDigest(name, value) : parseDigest(value);
+	digests = digests.filter(function (d) {
+		return DIGEST_ALGOS[d[0]] !== undefined;
+	});
+	if (digests.length === 0)
+		throw new InvalidAlgorithmError(
+			`no supported digest algorithm in "${value}"`,
+		);
+
+	if (sfHeader && options.want !== undefined) {
+		const want = parseWant(options.want);
+		digests = digests.filter(function (d) {
+			return want.has(d[0]);
+		});
+		if (digests.length === 0)
+			throw new InvalidAlgorithmError(
+				`${name} does not use a wanted digest algorithm`,
+			);
+	}
+	return digests;
+}
+
+/* Checks each digest against the one computed for its algorithm. */
+function matchDigests(digests, digestOf) {
+	return digests.every(function (d) {
+		const actual = digestOf(d[0]);
+		return (
+			d[1].length === actual.length && crypto.timingSafeEqual(d[1], actual)
+		);
+	});
+}
+
+/* Creates a hash per digest to check, for the streaming verifiers. */
+function createHashes(digests) {
+	const hashes = {};
+	digests.forEach(function (d) {
+		if (hashes[d[0]] === undefined)
+			hashes[d[0]] = crypto.createHash(DIGEST_ALGOS[d[0]]);
+	});
+	return hashes;
+}
+
+function updateHashes(hashes, chunk) {
+	Object.keys(hashes).forEach(function (alg) {
+		hashes[alg].update(chunk);
+	});
+}
+
+function matchHashes(digests, hashes) {
+	const results = {};
+	Object.keys(hashes).forEach(function (alg) {
+		results[alg] = hashes[alg].digest();
+	});
+	return matchDigests(digests, function (alg) {
+		return results[alg];
+	});
+}
+
+/* See createDigestStream() */
+function DigestStream(digests) {
+	stream.Transform.call(this);
+
+	this.ds_digests = digests;
+	this.ds_hashes = createHashes(digests);
+
+	const self = this;
+	this.result = new Promise(function (resolve, reject) {
+		self.ds_resolve = resolve;
+		self.ds_reject = reject;
+	});
+	/* Callers that only listen for 'error' shouldn't get unhandled rejections. */
+	this.result.catch(function () {});
+}
+util.inherits(DigestStream, stream.Transform);
+
+DigestStream.prototype._transform = function (chunk, encoding, cb) {
+	updateHashes(this.ds_hashes, chunk);
+	cb(null, chunk);
+};
+
+DigestStream.prototype._flush = function (cb) {
+	this.ds_resolve(matchHashes(this.ds_digests, this.ds_hashes));
+	cb();
+};
+
+DigestStream.prototype._destroy = function (err, cb) {
+	this.ds_reject(err || new Error("stream was destroyed before it ended"));
+	cb(err);
+};
+
+function assertBody(body) {
+	assert.ok(
+		typeof body === "string" || Buffer.isBuffer(body),
+		"body must be a string or Buffer",
+	);
+}
+
+///--- Exported API
+
+module.exports = {
+	DIGEST_ALGOS: DIGEST_ALGOS,
+
+	signedHeader: signedHeader,
+	parseWant: parseWant,
+
+	/**
+	 * Computes an RFC 3230 Digest header value for a request body.
+	 *
+	 * @param {String|Buffer} body the request body.
+	 * @param {Array} algorithms optional; digest algorithms to use
+	 *                           (default: ['SHA-256']).
+	 * @return {String} e.g. "SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=".
+	 * @throws {TypeError} on bad input.
+	 * @throws {InvalidAlgorithmError} if an algorithm is not supported.
+	 */
+	createDigest: function createDigest(body, algorithms) {
+		assertBody(body);
+		assert.optionalArrayOfString(algorithms, "algorithms");
+
+		return (algorithms || ["SHA-256"])
+			.map(function (alg) {
+				const a = alg.toLowerCase();
+				if (DIGEST_ALGOS[a] === undefined)
+					throw new InvalidAlgorithmError(
+						`${alg} is not a supported digest algorithm`,
+					);
+				return `${DIGEST_NAMES[a]}=${hash(a, body).toString("base64")}`;
+			})
+			.join(", ");
+	},
+
+	/**
+	 * Verify a request body against the Digest header covered by a signature.
+	 * You are expected to pass in an object that was returned from `parse()`,
+	 * and to check the signature itself with verifySignature() or verifyHMAC().
+	 *
+	 * The value checked is the one that was signed. Algorithms other than
+	 * SHA-256 and SHA-512 are ignored, but all of the ones that are supported
+	 * must match.
+	 *
+	 * @param {Object} parsedSignature the object you got from `parse`.
+	 * @param {String|Buffer} body the request body.
+	 * @return {Boolean} true if valid, false otherwise.
+	 * @throws {TypeError} if you pass in bad arguments.
+	 * @throws {MissingHeaderError} if the signature does not cover Digest.
+	 * @throws {InvalidAlgorithmError} if no digest algorithm is supported.
+	 */
+	verifyDigest: function verifyDigest(parsedSignature, body) {
+		assert.object(parsedSignature, "parsedSignature");
+		assertBody(body);
+
+		const digests = signedDigests(parsedSignature, { header: "digest" });
+		return matchDigests(digests, function (alg) {
+			return hash(alg, body);
+		});
+	},
+
+	/**
+	 * Computes an RFC 9530 Content-Digest (or Repr-Digest) header value.
+	 *
+	 * The algorithms can be given as a list, or as the value of a
+	 * Want-Content-Digest header from the peer, in which case the supported
+	 * algorithm it prefers most is used.
+	 *
+	 * @param {String|Buffer} body the content (or representation) to digest.
+	 * @param {Array|String} algorithms optional; digest algorithms to use, or
+	 *                                  a Want-Content-Digest value
+	 *                                  (default: ['sha-256']).
+	 * @return {String} e.g. "sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:".
+	 * @throws {TypeError} on bad input.
+	 * @throws {InvalidAlgorithmError} if an algorithm is not supported.
+	 * @throws {InvalidHeaderError} if a Want-Content-Digest value is invalid.
+	 */
+	createContentDigest: function createContentDigest(body, algorithms) {
+		assertBody(body);
+		let algs = algorithms || ["sha-256"];
+		if (typeof algs === "string") algs = [preferredAlgorithm(algs)];
+		assert.arrayOfString(algs, "algorithms");
+
+		const dict = new Map();
+		algs.forEach(function (alg) {
+			const a = alg.toLowerCase();
+			if (DIGEST_ALGOS[a] === undefined)
+				throw new InvalidAlgorithmError(
+					`${alg} is not a supported digest algorithm`,
+				);
+			dict.set(a, hash(a, body));
+		});
+		return sf.serializeDictionary(dict);
+	},
+
+	/**
+	 * Verify a body against the Content-Digest (or Repr-Digest) header covered
+	 * by a signature, from either `parseRequest` or `parseMessageSignature`.
+	 * As with verifyDigest(), the signature itself must be checked separately.
+	 *
+	 * Every algorithm that is supported must match. When `want` is given (the
+	 * Want-Content-Digest value this side asks peers to honor), only the
+	 * algorithms it accepts are checked, and at least one must be present.
+	 *
+	 * @param {Object} parsedSignature the object you got from `parse`.
+	 * @param {String|Buffer} body the content (or representation).
+	 * @param {Object} options optional:
+	 *                   - {String} header optional; "content-digest" (default)
+	 *                              or "repr-digest".
+	 *                   - {String} want optional; digest preferences in
+	 *                              Want-Content-Digest syntax.
+	 * @return {Boolean} true if valid, false otherwise.
+	 * @throws {TypeError} if you pass in bad arguments.
+	 * @throws {MissingHeaderError} if the signature does not cover the header.
+	 * @throws {InvalidHeaderError} if the header is not a valid digest field.
+	 * @throws {InvalidAlgorithmError} if no acceptable algorithm was used.
+	 */
+	verifyContentDigest: function verifyContentDigest(
+		parsedSignature,
+		body,
+		options,
+	) {
+		assert.object(parsedSignature, "parsedSignature");
+		assertBody(body);
+		const opts = options || {};
+		assert.object(opts, "options");
+		assert.optionalString(opts.header, "options.header");
+		const name = opts.header || "content-digest";
+		if (name.toLowerCase() === "digest")
+			throw new TypeError(`options.header ${name} is not supported`);
+
+		const digests = signedDigests(parsedSignature, {
+			header: name,
+			want: opts.want,
+		});
+		return matchDigests(digests, function (alg) {
+			return hash(alg, body);
+		});
+	},
+
+	/**
+	 * Creates a Transform stream that checks a body against the digest header
+	 * covered by a signature as it passes through, without buffering it. Pipe
+	 * the request into it and read from it as you would have read the request
+	 * (or call resume() if the body is not needed).
+	 *
+	 * The stream's `result` property is a Promise that resolves with true or
+	 * false once all of the body has been written, or rejects if the stream is
+	 * destroyed first. As with verifyDigest(), the signature itself must be
+	 * checked separately.
+	 *
+	 * @param {Object} parsedSignature the object you got from `parse`.
+	 * @param {Object} options optional:
+	 *                   - {String} header optional; "digest" (default),
+	 *                              "content-digest" or "repr-digest".
+	 *                   - {String} want optional; digest preferences in
+	 *                              Want-Content-Digest syntax.
+	 * @return {stream.Transform}
+	 * @throws {TypeError} if you pass in bad arguments.
+	 * @throws {MissingHeaderError} if the signature does not cover the header.
+	 * @throws {InvalidHeaderError} if the header is not a valid digest field.
+	 * @throws {InvalidAlgorithmError} if no acceptable algorithm was used.
+	 */
+	createDigestStream: function createDigestStream(parsedSignature, options) {
+		assert.object(parsedSignature, "parsedSignature");
+		const opts = options || {};
+		assert.object(opts, "options");
+
+		const digests = signedDigests(parsedSignature, opts);
+		return new DigestStream(digests);
+	},
+
+	/**
+	 * The WHATWG streams flavor of createDigestStream(), for fetch bodies:
+	 * returns a { readable, writable } pair, as pipeThrough() takes, with the
+	 * same `result` Promise, which resolves once the writable side is closed,
+	 * and rejects if it is aborted or the readable side is cancelled first.
+	 *
+	 * @param {Object} parsedSignature the object you got from `parse`.
+	 * @param {Object} options optional; as for createDigestStream().
+	 * @return {Object} the readable and writable streams, and result.
+	 * @throws {TypeError} if you pass in bad arguments.
+	 * @throws {MissingHeaderError} if the signature does not cover the header.
+	 * @throws {InvalidHeaderError} if the header is not a valid digest field.
+	 * @throws {InvalidAlgorithmError} if no acceptable algorithm was used.
+	 */
+	createDigestTransformStream: function createDigestTransformStream(
+		parsedSignature,
+		options,
+	) {
+		assert.object(parsedSignature, "parsedSignature");
+		const opts = options || {};
+		assert.object(opts, "options");
+
+		const digests = signedDigests(parsedSignature, opts);
+		const hashes = createHashes(digests);
+		let resolve;
+		let reject;
+		const result = new Promise(function (res, rej) {
+			resolve = res;
+			reject = rej;
+		});
+		/* Callers that only read the stream shouldn't get unhandled rejections. */
+		result.catch(function () {});
+
+		/* Loaded here so that older runtimes can still use everything else. */
+		const web = require("stream/web");
+		const transform = new web.TransformStream({
+			transform: function (chunk, controller) {
+				updateHashes(hashes, chunk);
+				controller.enqueue(chunk);
+			},
+			flush: function () {
+				resolve(matchHashes(digests, hashes));
+			},
+		});
+
+		/*
+		 * The writable side is written to through a writer of our own, whose
+		 * closed Promise rejects when either side gives up: the writable
+		 * aborted, or the readable cancelled.
+		 */
+		const writer = transform.writable.getWriter();
+		writer.closed.catch(function (reason) {
+			reject(reason || new Error("stream was cancelled before it ended"));
+		});
+		return {
+			readable: transform.readable,
+			writable: new web.WritableStream({
+				write: function (chunk) {
+					return writer.write(chunk);
+				},
+				close: function () {
+					return writer.close();
+				},
+				abort: function (reason) {
+					return writer.abort(reason);
+				},
+			}),
+			result: result,
+		};
+	},
+};
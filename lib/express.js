@@ -0,0 +1,123 @@
+// Copyright 2026 Firefish.
+
+const assert = require("assert-plus");
+const authenticate = require("./authenticate");
+const utils = require("./utils");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+///--- Helpers
+
+/*
+ * Finds the raw body of an Express request for digest checks: one captured
+ * by captureRawBody(), one left raw by express.raw() or express.text(), or
+ * failing those, the unread request stream.
+ */
+function rawBody(auth, req) {
+	if (req.rawBody !== undefined) return req.rawBody;
+	if (Buffer.isBuffer(req.body) || typeof req.body === "string")
+		return req.body;
+
+	/* body-parser sets _body once it has consumed the stream. */
+	if (req._body || req.readableEnded)
+		throw new Error(
+			"the request body was read before its digest could be checked; " +
+				"pass httpSignature.captureRawBody as the body parser's verify option",
+		);
+
+	/*
+	 * The stream cannot be read again, so the body is left as express.raw()
+	 * leaves it, which body parsers mounted after this then pass over.
+	 */
+	return auth.readBody(req).then(function (body) {
+		req.rawBody = body;
+		req.body = body;
+		req._body = true;
+		return body;
+	});
+}
+
+function sendFailure(auth, res, err) {
+	res.statusCode = authenticate.statusCode(err);
+	if (res.statusCode === 401) {
+		const headers = auth.challenge();
+		Object.keys(headers).forEach(function (name) {
+			res.setHeader(name, headers[name]);
+		});
+	}
+	res.setHeader("Content-Type", "application/json");
+	res.end(JSON.stringify({ code: err.name, message: err.message }));
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Creates Express (or Connect) middleware that verifies the signature on
+	 * each request.
+	 *
+	 * On success, `req.httpSignature` is set to the credentials: an object
+	 * with the `keyId`, the resolved `key` and the parsed `signature`. When the
+	 * request is not authentic, a 401 is sent with 'WWW-Authenticate' and
+	 * 'Accept-Signature' headers asking for a signature, and a 403 if the
+	 * authorize function refused it. Other errors, such as those from the key
+	 * resolver, are passed on with next().
+	 *
+	 * When the signature covers a 'Digest' or 'Content-Digest' header, it is
+	 * checked against the raw body. Either pass captureRawBody as the body
+	 * parser's verify option, or mount this before any body parser, in which
+	 * case it reads the body itself into `req.rawBody` and, as express.raw()
+	 * would, into `req.body`; body parsers mounted after it then leave the
+	 * body as it is, so use the first way to have it parsed.
+	 *
+	 * @param {Object} options as for createAuthenticator(), plus:
+	 *                   - {Function} onFailure optional; called as
+	 *                                (err, req, res, next) instead of sending
+	 *                                the 401 reply.
+	 * @return {Function} middleware.
+	 * @throws {TypeError} on bad input.
+	 */
+	express: function express(options) {
+		assert.object(options, "options");
+		assert.optionalFunc(options.onFailure, "options.onFailure");
+
+		const auth = authenticate.createAuthenticator(options);
+		const onFailure = options.onFailure;
+
+		return function verifyHttpSignature(req, res, next) {
+			auth
+				.authenticate(req, function () {
+					return rawBody(auth, req);
+				})
+				.then(
+					function (credentials) {
+						req.httpSignature = credentials;
+						next();
+					},
+					function (err) {
+						if (!(err instanceof HttpSignatureError)) {
+							next(err);
+						} else if (onFailure !== undefined) {
+							onFailure(err, req, res, next);
+						} else {
+							sendFailure(auth, res, err);
+						}
+					},
+				);
+		};
+	},
+
+	/**
+	 * A body-parser verify function that keeps the raw body for digest checks,
+	 * e.g. express.json({ verify: httpSignature.captureRawBody }).
+	 *
+	 * @param {Object} req the request.
+	 * @param {Object} res the response.
+	 * @param {Buffer} buf the raw body.
+	 */
+	captureRawBody: function captureRawBody(req, res, buf) {
+		req.rawBody = buf;
+	},
+};
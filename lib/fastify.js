@@ -0,0 +1,183 @@
+// Copyright 2026 Firefish.
+
+const assert = require("assert-plus");
+const stream = require("stream");
+const authenticate = require("./authenticate");
+const utils = require("./utils");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+///--- Helpers
+
+/*
+ * Maps a Fastify request onto what the parser reads from an
+ * http.IncomingMessage. Key resolvers and authorize functions get this too,
+ * with the Fastify request itself as `request`.
+ */
+function adapt(request) {
+	return {
+		method: request.method,
+		url: request.url,
+		originalUrl: request.originalUrl || request.url,
+		httpVersion: request.raw.httpVersion,
+		headers: request.headers,
+		socket: { encrypted: request.protocol === "https" },
+		request: request,
+	};
+}
+
+/*
+ * Whether a request carries a digest of its body, which is checked against
+ * the body when the signature covers it.
+ */
+function hasDigest(request) {
+	return (
+		request.headers["content-digest"] !== undefined ||
+		request.headers.digest !== undefined
+	);
+}
+
+/*
+ * Passes the payload on to Fastify's body parser, keeping a copy of the raw
+ * bytes in request.rawBody for digest checks.
+ */
+function capture(request, payload) {
+	let chunks = [];
+	const copy = new stream.PassThrough();
+	copy.receivedEncodedLength = 0;
+
+	function onData(chunk) {
+		chunks.push(chunk);
+		copy.receivedEncodedLength += chunk.length;
+	}
+	payload.on("data", onData);
+	payload.on("end", function () {
+		request.rawBody = Buffer.concat(chunks);
+	});
+	payload.on("error", function (err) {
+		copy.destroy(err);
+	});
+	/* Stop keeping the body once Fastify gives up on it, e.g. as too large. */
+	copy.on("close", function () {
+		payload.removeListener("data", onData);
+		chunks = [];
+	});
+	payload.pipe(copy);
+
+	return copy;
+}
+
+///--- Exported API
+
+/**
+ * A Fastify plugin that verifies the signatures on requests.
+ *
+ * It decorates the instance with `verifyHttpSignature(request, reply)`, an
+ * async hook that sets `request.httpSignature` to the credentials: an object
+ * with the `keyId`, the resolved `key` and the parsed `signature`. Unless
+ * `global` is false, it runs before validation on every route.
+ *
+ * A route's `config.httpSignature` overrides that: false to skip the check,
+ * true to require it, or an object of options as for createAuthenticator()
+ * to change the policy for that route.
+ *
+ * On the routes it verifies, the raw body of a request with a Digest or
+ * Content-Digest header is kept in `request.rawBody` for the digest check;
+ * other bodies go to Fastify's parser untouched.
+ *
+ * Failures are thrown as the library's errors, with a statusCode for
+ * Fastify's error handler: 401 with 'WWW-Authenticate' and 'Accept-Signature'
+ * headers (in err.headers) when the request is not authentic, and 403 when
+ * the authorize function refused it.
+ *
+ * @param {Object} fastify the Fastify instance.
+ * @param {Object} options as for createAuthenticator(), plus:
+ *                   - {Boolean} global optional; verify every route unless
+ *                               its config says otherwise (default true).
+ * @throws {TypeError} on bad input.
+ */
+function fastifyHttpSignature(fastify, options, done) {
+	assert.object(options, "options");
+	assert.optionalBool(options.global, "options.global");
+
+	const auth = authenticate.createAuthenticator(options);
+	const global = options.global !== false;
+	const routePolicies = new WeakMap();
+
+	function authenticatorFor(config) {
+		if (config === null || typeof config !== "object") return auth;
+		if (!routePolicies.has(config))
+			routePolicies.set(config, auth.withPolicy(config));
+		return routePolicies.get(config);
+	}
+
+	function routeConfig(request) {
+		const config = request.routeOptions
+			? request.routeOptions.config
+			: request.context.config;
+		return config !== undefined ? config.httpSignature : undefined;
+	}
+
+	function verified(config) {
+		return config !== false && (global || config !== undefined);
+	}
+
+	fastify.decorateRequest("httpSignature", null);
+	fastify.decorateRequest("rawBody", null);
+
+	fastify.decorate(
+		"verifyHttpSignature",
+		function verifyHttpSignature(request, reply) {
+			const au = authenticatorFor(routeConfig(request));
+
+			return au
+				.authenticate(adapt(request), function () {
+					if (request.rawBody === null)
+						throw new Error(
+							"the request body has not been kept for its digest; verify " +
+								"signatures in the preValidation hook or later, " +
+								"on a route the plugin verifies",
+						);
+					return request.rawBody;
+				})
+				.then(
+					function (credentials) {
+						request.httpSignature = credentials;
+					},
+					function (err) {
+						if (err instanceof HttpSignatureError) {
+							err.statusCode = authenticate.statusCode(err);
+							if (err.statusCode === 401) err.headers = au.challenge();
+						}
+						throw err;
+					},
+				);
+		},
+	);
+
+	fastify.addHook("preParsing", function (request, reply, payload, next) {
+		if (!verified(routeConfig(request)) || !hasDigest(request)) {
+			next(null, payload);
+			return;
+		}
+		next(null, capture(request, payload));
+	});
+
+	fastify.addHook("preValidation", function (request, reply) {
+		if (!verified(routeConfig(request))) return Promise.resolve();
+		return fastify.verifyHttpSignature(request, reply);
+	});
+
+	done();
+}
+
+/* Register on the parent instance, as fastify-plugin would. */
+fastifyHttpSignature[Symbol.for("skip-override")] = true;
+fastifyHttpSignature[Symbol.for("fastify.display-name")] =
+	"@joinfirefish/http-signature";
+
+module.exports = {
+	fastify: fastifyHttpSignature,
+};
@@ -0,0 +1,82 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Signing for got: a beforeRequest hook, which got runs again for every
+ * redirect it follows and every retry, so each of those is signed afresh.
+ */
+
+const assert = require("assert-plus");
+const outgoing = require("./outgoing");
+
+///--- Helpers
+
+/*
+ * Reads the body of a request for a digest. Older versions of got have yet
+ * to serialize json and form bodies when beforeRequest hooks run, so those
+ * are serialized here just as got will.
+ */
+function bodyOf(options) {
+	if (options.body !== undefined) {
+		if (typeof options.body === "string" || Buffer.isBuffer(options.body))
+			return options.body;
+		throw new TypeError("the request body cannot be read for a digest");
+	}
+	if (options.json !== undefined) return options.stringifyJson(options.json);
+	if (options.form !== undefined)
+		return new URLSearchParams(options.form).toString();
+	return undefined;
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Creates a got beforeRequest hook that signs every request, as
+	 * signRequest() would:
+	 *
+	 *     const client = got.extend({
+	 *       hooks: { beforeRequest: [httpSignature.got(options)] },
+	 *     });
+	 *
+	 * got runs the hook again for each redirect followed and each retry, and
+	 * every time the request is signed with a new Date header. Redirects to
+	 * another origin are followed without a signature.
+	 *
+	 * @param {Object} options signing parameters object, as for
+	 *                   signRequest(), except that body is not taken, plus:
+	 *                   - {Boolean} digest optional; add a digest of the body
+	 *                               (default false), which has to be given as
+	 *                               a string, Buffer, json or form.
+	 * @return {Function} the hook.
+	 * @throws {TypeError} on bad input.
+	 */
+	got: function got(options) {
+		assert.object(options, "options");
+		assert.optionalBool(options.digest, "options.digest");
+		assert.string(options.keyId, "options.keyId");
+		assert.ok(options.key, "options.key");
+		if (options.body !== undefined)
+			throw new TypeError("options.body is taken from each request");
+
+		/*
+		 * got keeps the options of a request across its redirects and retries,
+		 * changing their url, so they map to the origin it was first sent to.
+		 */
+		const origins = new WeakMap();
+
+		return function signGotRequest(request) {
+			if (!origins.has(request)) origins.set(request, request.url.origin);
+			if (origins.get(request) !== request.url.origin) {
+				outgoing.removeSignature(request.headers, options);
+				return;
+			}
+			outgoing.signOutgoing(
+				request.url,
+				request.method,
+				request.headers,
+				options,
+				options.digest ? bodyOf(request) : undefined,
+			);
+		};
+	},
+};
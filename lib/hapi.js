@@ -0,0 +1,136 @@
+// Copyright 2026 Firefish.
+
+const assert = require("assert-plus");
+const authenticate = require("./authenticate");
+const utils = require("./utils");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+///--- Helpers
+
+/*
+ * Maps a hapi request onto what the parser reads from an
+ * http.IncomingMessage, using the URL as it was sent rather than as any
+ * onRequest extension rewrote it. Key resolvers and authorize functions get
+ * this too, with the hapi request itself as `request`.
+ */
+function adapt(request) {
+	return {
+		method: request.method.toUpperCase(),
+		url: request.raw.req.url,
+		originalUrl: request.raw.req.url,
+		httpVersion: request.raw.req.httpVersion,
+		headers: request.headers,
+		socket: { encrypted: request.url.protocol === "https:" },
+		request: request,
+	};
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * A hapi authentication scheme that verifies the signature on each
+	 * request, registered with:
+	 *
+	 *     server.auth.scheme("http-signature", httpSignature.hapi);
+	 *     server.auth.strategy("signature", "http-signature", options);
+	 *
+	 * On success, `request.auth.credentials` is set to an object with the
+	 * `keyId`, the resolved `key` and the parsed `signature`. A request without
+	 * a signature counts as missing authentication, so other strategies are
+	 * tried; otherwise a request that is not authentic gets a 401 with
+	 * 'WWW-Authenticate' and 'Accept-Signature' headers, and one the authorize
+	 * function refused gets a 403.
+	 *
+	 * Digests of the body are checked in the payload authentication step. A
+	 * route's `options.plugins.httpSignature` overrides the policy for that
+	 * route.
+	 *
+	 * @param {Object} server the hapi server.
+	 * @param {Object} options as for createAuthenticator().
+	 * @return {Object} the scheme's methods.
+	 * @throws {TypeError} on bad input.
+	 */
+	hapi: function hapi(server, options) {
+		assert.object(options, "options");
+
+		/* Only needed, and only installed, alongside hapi. */
+		const Boom = require("@hapi/boom");
+
+		const auth = authenticate.createAuthenticator(options);
+		const routePolicies = new WeakMap();
+		const bodies = new WeakMap();
+
+		function authenticatorFor(request) {
+			const overrides = request.route.settings.plugins.httpSignature;
+			if (overrides === undefined) return auth;
+			if (!routePolicies.has(overrides))
+				routePolicies.set(overrides, auth.withPolicy(overrides));
+			return routePolicies.get(overrides);
+		}
+
+		function failure(au, err) {
+			if (!(err instanceof HttpSignatureError)) return err;
+
+			const statusCode = authenticate.statusCode(err);
+			Boom.boomify(err, { statusCode: statusCode });
+			if (statusCode === 401) Object.assign(err.output.headers, au.challenge());
+			return err;
+		}
+
+		return {
+			options: { payload: true },
+
+			authenticate: function (request, h) {
+				const au = authenticatorFor(request);
+				const adapted = adapt(request);
+
+				if (!au.isSigned(adapted)) {
+					const err = Boom.unauthorized(null, "Signature");
+					Object.assign(err.output.headers, au.challenge());
+					return h.unauthenticated(err);
+				}
+
+				/* The body is not read yet: the payload step checks its digest. */
+				return au.authenticate(adapted, null).then(
+					function (credentials) {
+						const chunks = [];
+						request.events.on("peek", function (chunk) {
+							chunks.push(chunk);
+						});
+						bodies.set(request, chunks);
+						return h.authenticated({ credentials: credentials });
+					},
+					function (err) {
+						return h.unauthenticated(failure(au, err));
+					},
+				);
+			},
+
+			payload: function (request, h) {
+				const au = authenticatorFor(request);
+				const chunks = bodies.get(request) || [];
+
+				return au
+					.verifyBody(
+						adapt(request),
+						request.auth.credentials.signature,
+						function () {
+							return Buffer.concat(chunks);
+						},
+					)
+					.then(
+						function () {
+							return h.continue;
+						},
+						function (err) {
+							throw failure(au, err);
+						},
+					);
+			},
+		};
+	},
+};
@@ -1,7 +1,22 @@
 // Copyright 2015 Joyent, Inc.
 
+const agent = require("./agent");
+const authenticate = require("./authenticate");
+const backend = require("./backend");
+const axios = require("./axios");
+const client = require("./client");
+const digest = require("./digest");
+const express = require("./express");
+const fastify = require("./fastify");
+const got = require("./got");
+const hapi = require("./hapi");
+const koa = require("./koa");
 const parser = require("./parser");
+const pool = require("./pool");
+const restify = require("./restify");
 const signer = require("./signer");
+const structured = require("./structured");
+const undici = require("./undici");
 const verify = require("./verify");
 const utils = require("./utils");
 
@@ -10,11 +25,24 @@ const utils = require("./utils");
 module.exports = {
 	parse: parser.parseRequest,
 	parseRequest: parser.parseRequest,
+	parseFetchRequest: parser.parseFetchRequest,
+	parseMessageSignature: parser.parseMessageSignature,
+	parseResponse: parser.parseResponse,
 
 	sign: signer.signRequest,
 	signRequest: signer.signRequest,
+	signRequestAsync: signer.signRequestAsync,
+	signResponse: signer.signResponse,
+	signFetchRequest: signer.signFetchRequest,
 	createSigner: signer.createSigner,
+	createSigningKey: signer.createSigningKey,
 	isSigner: signer.isSigner,
+	createSigningInterceptor: undici.createSigningInterceptor,
+	createSigningDispatcher: undici.createSigningDispatcher,
+	createSigningAgent: agent.createSigningAgent,
+	axios: axios.axios,
+	got: got.got,
+	request: client.request,
 
 	sshKeyToPEM: utils.sshKeyToPEM,
 	sshKeyFingerprint: utils.fingerprint,
@@ -23,4 +51,24 @@ module.exports = {
 	verify: verify.verifySignature,
 	verifySignature: verify.verifySignature,
 	verifyHMAC: verify.verifyHMAC,
+	createVerifier: verify.createVerifier,
+	setCryptoBackend: backend.setCryptoBackend,
+	createVerificationPool: pool.createVerificationPool,
+
+	createDigest: digest.createDigest,
+	verifyDigest: digest.verifyDigest,
+	createContentDigest: digest.createContentDigest,
+	verifyContentDigest: digest.verifyContentDigest,
+	createDigestStream: digest.createDigestStream,
+	createDigestTransformStream: digest.createDigestTransformStream,
+
+	createAuthenticator: authenticate.createAuthenticator,
+	express: express.express,
+	captureRawBody: express.captureRawBody,
+	fastify: fastify.fastify,
+	koa: koa.koa,
+	hapi: hapi.hapi,
+	restify: restify.restify,
+
+	structuredFields: structured,
 };
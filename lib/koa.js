@@ -0,0 +1,124 @@
+// Copyright 2026 Firefish.
+
+const assert = require("assert-plus");
+const authenticate = require("./authenticate");
+const utils = require("./utils");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+///--- Helpers
+
+/*
+ * Maps a Koa context onto what the parser reads from an
+ * http.IncomingMessage. Key resolvers and authorize functions get this too,
+ * with the context itself as `ctx`.
+ */
+function adapt(ctx) {
+	return {
+		method: ctx.method,
+		url: ctx.url,
+		originalUrl: ctx.originalUrl,
+		httpVersion: ctx.req.httpVersion,
+		headers: ctx.headers,
+		socket: { encrypted: ctx.protocol === "https" },
+		ctx: ctx,
+	};
+}
+
+/*
+ * Finds the raw body of a Koa request for digest checks: one kept by a body
+ * parser such as koa-bodyparser, or failing that, the unread request stream.
+ */
+function rawBody(auth, ctx) {
+	if (ctx.request.rawBody !== undefined) return ctx.request.rawBody;
+	if (Buffer.isBuffer(ctx.request.body) || typeof ctx.request.body === "string")
+		return ctx.request.body;
+
+	if (ctx.req.readableEnded)
+		throw new Error(
+			"the request body was read before its digest could be checked; " +
+				"use a body parser that keeps ctx.request.rawBody",
+		);
+
+	/*
+	 * The stream cannot be read again, so the body is left in
+	 * ctx.request.body too, which body parsers mounted after this then pass
+	 * over.
+	 */
+	return auth.readBody(ctx.req).then(function (body) {
+		ctx.request.rawBody = body;
+		ctx.request.body = body;
+		return body;
+	});
+}
+
+function middleware(auth) {
+	function verifyHttpSignature(ctx, next) {
+		return auth
+			.authenticate(adapt(ctx), function () {
+				return rawBody(auth, ctx);
+			})
+			.then(
+				function (credentials) {
+					ctx.state.httpSignature = credentials;
+					return next();
+				},
+				function (err) {
+					if (err instanceof HttpSignatureError) {
+						err.status = authenticate.statusCode(err);
+						err.expose = true;
+						if (err.status === 401) err.headers = auth.challenge();
+					}
+					throw err;
+				},
+			);
+	}
+
+	/**
+	 * Creates middleware for a single route, with some of the policy
+	 * overridden.
+	 *
+	 * @param {Object} overrides options as for createAuthenticator().
+	 * @return {Function} middleware.
+	 */
+	verifyHttpSignature.withPolicy = function withPolicy(overrides) {
+		return middleware(auth.withPolicy(overrides));
+	};
+
+	return verifyHttpSignature;
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Creates Koa middleware that verifies the signature on each request.
+	 *
+	 * On success, `ctx.state.httpSignature` is set to the credentials: an
+	 * object with the `keyId`, the resolved `key` and the parsed `signature`.
+	 * Failures are thrown as the library's errors, with a status for Koa's
+	 * error handling: 401 with 'WWW-Authenticate' and 'Accept-Signature'
+	 * headers (in err.headers) when the request is not authentic, and 403 when
+	 * the authorize function refused it.
+	 *
+	 * When the signature covers a 'Digest' or 'Content-Digest' header, it is
+	 * checked against the raw body. Either mount this after a body parser
+	 * that keeps `ctx.request.rawBody`, or before any, in which case it reads
+	 * the body itself into `ctx.request.rawBody` and `ctx.request.body`; body
+	 * parsers mounted after it then leave the body as it is.
+	 *
+	 * The middleware's withPolicy(overrides) makes a copy for a single route,
+	 * e.g. to require a digest on one that takes a body.
+	 *
+	 * @param {Object} options as for createAuthenticator().
+	 * @return {Function} middleware.
+	 * @throws {TypeError} on bad input.
+	 */
+	koa: function koa(options) {
+		assert.object(options, "options");
+
+		return middleware(authenticate.createAuthenticator(options));
+	},
+};
@@ -0,0 +1,59 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Signing for HTTP client libraries that keep the headers of a request in a
+ * plain object and sign it again on every redirect and retry: axios and got.
+ */
+
+const adapter = require("./adapter");
+const signer = require("./signer");
+const utils = require("./utils");
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Signs a request with a fresh Date header, so that a redirected or
+	 * retried request is not sent with the date it was first signed at. A
+	 * digest of the body is added when options.digest is set and there is a
+	 * body, and a stale one is removed when there is not.
+	 *
+	 * @param {URL} url the URL of the request.
+	 * @param {String} method the request method, in upper case.
+	 * @param {Object} headers the headers, which are updated in place.
+	 * @param {Object} options as for signRequest(), except for body, plus
+	 *                   digest.
+	 * @param {String|Buffer} body optional; the body for a digest.
+	 */
+	signOutgoing: function signOutgoing(url, method, headers, options, body) {
+		const request = adapter.outgoingRequest(url, method, headers);
+		const signing = {};
+		Object.keys(options).forEach(function (name) {
+			if (name !== "digest") signing[name] = options[name];
+		});
+		request.removeHeader("date");
+		if (options.digest) {
+			if (body !== undefined) signing.body = body;
+			else request.removeHeader(options.digestHeader || "digest");
+		}
+		signer.signRequest(request, signing);
+	},
+
+	/**
+	 * Takes the signature off a request that is redirected to another origin
+	 * than the one it was signed for, so that it is not passed on there.
+	 *
+	 * @param {Object} headers the headers, which are updated in place.
+	 * @param {Object} options as given to signOutgoing().
+	 */
+	removeSignature: function removeSignature(headers, options) {
+		const names = [
+			(options.authorizationHeaderName || utils.HEADER.AUTH).toLowerCase(),
+			utils.HEADER.SIG,
+			utils.HEADER.SIG_INPUT,
+		];
+		Object.keys(headers).forEach(function (name) {
+			if (names.indexOf(name.toLowerCase()) !== -1) delete headers[name];
+		});
+	},
+};
@@ -2,6 +2,9 @@
 
 const assert = require("assert-plus");
 const util = require("util");
+const adapter = require("./adapter");
+const components = require("./components");
+const sf = require("./structured");
 const utils = require("./utils");
 
 ///--- Globals
@@ -23,6 +26,7 @@ const ParamsState = {
 	Value: 2,
 	Comma: 3,
 	Number: 4,
+	Escape: 5,
 };
 
 ///--- Specific Errors
@@ -52,12 +56,242 @@ function StrictParsingError(message) {
 }
 util.inherits(StrictParsingError, HttpSignatureError);
 
+///--- Helpers
+
+/*
+ * Describes an http.IncomingMessage response or a fetch Response, returning
+ * its headers as a plain object along with the message description.
+ */
+function responseMessage(response, options) {
+	const headers =
+		typeof response.headers.get === "function"
+			? adapter.fieldsOf(response.headers)
+			: response.headers;
+	const request = options.request || response.req;
+
+	return {
+		headers: headers,
+		message: {
+			status:
+				response.statusCode !== undefined
+					? response.statusCode
+					: response.status,
+			headers: response.headersDistinct || headers,
+			trailers: response.trailersDistinct || response.trailers,
+			request: request ? adapter.describeRequest(request, options) : undefined,
+		},
+	};
+}
+
+function parseField(headers, name) {
+	try {
+		return sf.parseDictionary(headers[name]);
+	} catch (e) {
+		if (e instanceof sf.StructuredFieldError)
+			throw new InvalidHeaderError(`${name} header is invalid: ${e.message}`);
+		throw e;
+	}
+}
+
+function stringParam(params, name) {
+	const value = params.get(name);
+	if (value !== undefined && typeof value !== "string")
+		throw new InvalidParamsError(`${name} must be a string`);
+	return value;
+}
+
+function integerParam(params, name) {
+	const value = params.get(name);
+	if (value !== undefined && !Number.isInteger(value))
+		throw new InvalidParamsError(`${name} must be an integer`);
+	return value;
+}
+
+/*
+ * Parses the RFC 9421 'Signature-Input' and 'Signature' fields out of a
+ * message's headers, building the signature base from its description. See
+ * parseMessageSignature() and parseResponse() below.
+ */
+function parseSignatureFields(headers, message, options, kind) {
+	assert.optionalFinite(options.clockSkew, "options.clockSkew");
+	assert.optionalArrayOfString(options.headers, "options.headers");
+	assert.optionalString(options.label, "options.label");
+	assert.optionalString(options.scheme, "options.scheme");
+
+	const clockSkew = options.clockSkew || 300;
+
+	if (!headers[utils.HEADER.SIG_INPUT])
+		throw new MissingHeaderError(
+			`no ${utils.HEADER.SIG_INPUT} header present in the ${kind}`,
+		);
+	if (!headers[utils.HEADER.SIG])
+		throw new MissingHeaderError(
+			`no ${utils.HEADER.SIG} header present in the ${kind}`,
+		);
+
+	const inputs = parseField(headers, utils.HEADER.SIG_INPUT);
+	const signatures = parseField(headers, utils.HEADER.SIG);
+
+	const label =
+		options.label !== undefined ? options.label : inputs.keys().next().value;
+	const input = inputs.get(label);
+	if (input === undefined)
+		throw new MissingHeaderError(
+			`${label} was not in the ${utils.HEADER.SIG_INPUT} header`,
+		);
+	if (!Array.isArray(input.value))
+		throw new InvalidHeaderError(`${label} signature input is not a list`);
+
+	const signature = signatures.get(label);
+	if (signature === undefined)
+		throw new MissingHeaderError(
+			`${label} was not in the ${utils.HEADER.SIG} header`,
+		);
+	if (!Buffer.isBuffer(signature.value))
+		throw new InvalidHeaderError(`${label} signature is not a byte sequence`);
+
+	if (input.value.length === 0)
+		throw new InvalidHeaderError(`${label} signature covers no components`);
+	input.value.forEach(function (component) {
+		if (typeof component.value !== "string")
+			throw new InvalidHeaderError("covered components must be strings");
+	});
+
+	const keyId = stringParam(input.params, "keyid");
+	const alg = stringParam(input.params, "alg");
+	const created = integerParam(input.params, "created");
+	const expires = integerParam(input.params, "expires");
+	const nonce = stringParam(input.params, "nonce");
+	const tag = stringParam(input.params, "tag");
+
+	if (!keyId) throw new InvalidHeaderError("keyid was not specified");
+
+	let algorithm = "hs2019";
+	if (alg !== undefined) {
+		algorithm = utils.RFC9421_ALGOS[alg];
+		if (algorithm === undefined)
+			throw new InvalidParamsError(`${alg} is not supported`);
+	}
+
+	const parsed = {
+		scheme: "Signature",
+		format: utils.FORMAT.RFC9421,
+		label: label,
+		params: {
+			keyId: keyId,
+			algorithm: algorithm,
+			headers: input.value.map(components.componentName),
+			signature: signature.value.toString("base64"),
+		},
+		signingString: components.signatureBase(input.value, input.params, message),
+	};
+	if (alg !== undefined) parsed.params.alg = alg;
+	if (created !== undefined) parsed.params.created = created;
+	if (expires !== undefined) parsed.params.expires = expires;
+	if (nonce !== undefined) parsed.params.nonce = nonce;
+	if (tag !== undefined) parsed.params.tag = tag;
+
+	// Check against the constraints
+	const now = Math.floor(Date.now() / 1000);
+	const coversDate = parsed.params.headers.indexOf("date") !== -1;
+	/* Only a signed date says anything about when the signature was made. */
+	if (coversDate) {
+		const skew = Math.abs(Date.now() - new Date(headers.date).getTime());
+		if (skew > clockSkew * 1000) {
+			throw new ExpiredRequestError(
+				`clock skew of ${skew / 1000}s was greater than ${clockSkew}s`,
+			);
+		}
+	}
+
+	if (created !== undefined && created - now > clockSkew) {
+		throw new ExpiredRequestError(
+			`Created lies in the future (with skew ${
+				created - now
+			}s greater than allowed ${clockSkew}s`,
+		);
+	}
+
+	/* Without an expires parameter, a signature is as old as it was created. */
+	if (
+		expires === undefined &&
+		created !== undefined &&
+		now - created > clockSkew
+	) {
+		throw new ExpiredRequestError(
+			`Created ${now - created}s ago, more than the allowed ${clockSkew}s`,
+		);
+	}
+
+	if (expires !== undefined && now - expires > clockSkew) {
+		throw new ExpiredRequestError(
+			`Request expired with skew ${
+				now - expires
+			}s greater than allowed ${clockSkew}s`,
+		);
+	}
+
+	if (options.headers !== undefined) {
+		options.headers.forEach(function (hdr) {
+			if (parsed.params.headers.indexOf(hdr.toLowerCase()) < 0)
+				throw new MissingHeaderError(`${hdr} was not a signed header`);
+		});
+	}
+
+	if (options.tag !== undefined && options.tag !== tag)
+		throw new InvalidParamsError(`tag was not "${options.tag}"`);
+
+	if (
+		options.algorithms &&
+		options.algorithms.indexOf(parsed.params.algorithm) === -1
+	)
+		throw new InvalidParamsError(
+			`${parsed.params.algorithm} is not a supported algorithm`,
+		);
+
+	/*
+	 * Unless told which components to require, as draft-cavage requires a
+	 * date, require something that dates the signature.
+	 */
+	if (options.headers === undefined && !coversDate && created === undefined)
+		throw new MissingHeaderError(
+			"the signature has neither a created parameter nor a signed date",
+		);
+
+	parsed.algorithm = parsed.params.algorithm.toUpperCase();
+	parsed.keyId = keyId;
+	return parsed;
+}
+
+/* See parseMessageSignature() below. */
+function parseMessageSignature(request, opts) {
+	assert.object(request, "request");
+	assert.object(request.headers, "request.headers");
+	const options = opts === undefined ? {} : opts;
+	assert.object(options, "options");
+	assert.optionalString(options.scheme, "options.scheme");
+
+	const headers =
+		typeof request.headers.get === "function"
+			? adapter.fieldsOf(request.headers)
+			: request.headers;
+	return parseSignatureFields(
+		headers,
+		adapter.describeRequest(request, options),
+		options,
+		"request",
+	);
+}
+
 ///--- Exported API
 
 module.exports = {
 	/**
 	 * Parses the 'Authorization' header out of an http.ServerRequest object.
 	 *
+	 * Requests carrying a 'Signature-Input' header are handed to
+	 * parseMessageSignature() instead.
+	 *
 	 * Note that this API will fully validate the Authorization header, and throw
 	 * on any error.  It will not however check the signature, or the keyId format
 	 * as those are specific to your environment.  You can use the options object
@@ -86,6 +320,9 @@ module.exports = {
 	 *                   - algorithms: algorithms to support (default: all).
 	 *                   - strict: should enforce latest spec parsing
 	 *                             (default: false).
+	 *                   - requestTarget: the path and query the client sent,
+	 *                             e.g. when a proxy has rewritten them
+	 *                             (default: originalUrl, or failing that url).
 	 * @return {Object} parsed out object (see above).
 	 * @throws {TypeError} on invalid input.
 	 * @throws {InvalidHeaderError} on an invalid Authorization header error.
@@ -107,6 +344,12 @@ module.exports = {
 		assert.object(options, "options");
 		assert.optionalFinite(options.clockSkew, "options.clockSkew");
 
+		if (typeof request.headers.get === "function")
+			return parseRequest(adapter.incomingRequest(request), options);
+
+		if (request.headers[utils.HEADER.SIG_INPUT] !== undefined)
+			return parseMessageSignature(request, options);
+
 		let headers = [request.headers["x-date"] ? "x-date" : "date"];
 		if (options.headers !== undefined) {
 			assert.arrayOfString(headers, "options.headers");
@@ -194,11 +437,19 @@ module.exports = {
 							if (c === '"') {
 								parsed.params[tmpName] = tmpValue;
 								substate = ParamsState.Comma;
+							} else if (c === "\\") {
+								substate = ParamsState.Escape;
 							} else {
 								tmpValue += c;
 							}
 							break;
 
+						case ParamsState.Escape:
+							// quoted-pair, see RFC 7230 section 3.2.6
+							tmpValue += c;
+							substate = ParamsState.Value;
+							break;
+
 						case ParamsState.Number:
 							if (c === ",") {
 								parsed.params[tmpName] = parseInt(tmpValue, 10);
@@ -277,7 +528,12 @@ module.exports = {
 					 * We allow headers from the older spec drafts if strict parsing isn't
 					 * specified in options.
 					 */
-					parsed.signingString += `${request.method} ${request.originalUrl} HTTP/${request.httpVersion}`;
+					const target = adapter.requestTarget(request, options);
+					if (!request.method || target === undefined)
+						throw new MissingHeaderError(
+							"request-line has no request to refer to",
+						);
+					parsed.signingString += `${request.method} ${target} HTTP/${request.httpVersion}`;
 				} else {
 					/* Strict parsing doesn't allow older draft headers. */
 					throw new StrictParsingError(
@@ -286,9 +542,12 @@ module.exports = {
 					);
 				}
 			} else if (h === "(request-target)") {
-				parsed.signingString += `(request-target): ${request.method.toLowerCase()} ${
-					request.originalUrl
-				}`;
+				const target = adapter.requestTarget(request, options);
+				if (!request.method || target === undefined)
+					throw new MissingHeaderError(
+						"(request-target) has no request to refer to",
+					);
+				parsed.signingString += `(request-target): ${request.method.toLowerCase()} ${target}`;
 			} else if (h === "(keyid)") {
 				parsed.signingString += `(keyid): ${parsed.params.keyId}`;
 			} else if (h === "(algorithm)") {
@@ -376,4 +635,143 @@ module.exports = {
 		parsed.opaque = parsed.params.opaque;
 		return parsed;
 	},
+
+	/**
+	 * Parses the RFC 9421 'Signature-Input' and 'Signature' headers out of an
+	 * http.ServerRequest object and rebuilds the signature base.
+	 *
+	 * As with parseRequest(), this validates the headers and throws on any
+	 * error, but does not check the signature itself. The result has the same
+	 * shape, so it can be passed to verifySignature() or verifyHMAC():
+	 *
+	 *     {
+	 *       "scheme": "Signature",
+	 *       "format": "rfc9421",
+	 *       "label": "sig1",
+	 *       "params": {
+	 *         "keyId": "foo",
+	 *         "algorithm": "rsa-sha256" (or "hs2019" without an alg param),
+	 *         "alg": "rsa-v1_5-sha256",
+	 *         "created": 1618884473,
+	 *         "headers": [
+	 *           "@method",
+	 *           "@query-param;name=\"id\"",
+	 *           "content-digest"
+	 *         ],
+	 *         "signature": "base64"
+	 *       },
+	 *       "signingString": "the signature base"
+	 *     }
+	 *
+	 * @param {Object} request an http.ServerRequest.
+	 * @param {Object} options an optional options object with:
+	 *                   - clockSkew: allowed clock skew in seconds (default 300).
+	 *                   - headers: required covered components (default:
+	 *                              none, but then the signature must have a
+	 *                              created parameter or cover date).
+	 *                   - algorithms: algorithms to support (default: all).
+	 *                   - label: the signature to parse (default: the first).
+	 *                   - tag: required value of the tag parameter.
+	 *                   - scheme: the scheme of the request target URI
+	 *                             (default: from the socket).
+	 *                   - requestTarget: as for parseRequest().
+	 * @return {Object} parsed out object (see above).
+	 * @throws {TypeError} on invalid input.
+	 * @throws {InvalidHeaderError} on an invalid Signature-Input or Signature
+	 *                              header.
+	 * @throws {InvalidParamsError} if the signature parameters or covered
+	 *                              components are invalid.
+	 * @throws {MissingHeaderError} if a covered component is not present in the
+	 *                              request, or a required one is not covered.
+	 * @throws {ExpiredRequestError} if expires, a signed date, or (without
+	 *                               expires) created exceed skew.
+	 */
+	parseMessageSignature: parseMessageSignature,
+
+	/**
+	 * Parses the signature on a WHATWG fetch Request, as edge runtimes and
+	 * route handlers receive it, taking the request target from its URL.
+	 *
+	 * This gives the same result and throws the same errors as parseRequest(),
+	 * which is also happy to be given a Request.
+	 *
+	 * @param {Request} request the fetch Request.
+	 * @param {Object} options as for parseRequest().
+	 * @return {Object} parsed out object (see parseRequest()).
+	 * @throws {TypeError} on invalid input.
+	 */
+	parseFetchRequest: function parseFetchRequest(request, options) {
+		assert.object(request, "request");
+		assert.string(request.url, "request.url");
+		assert.object(request.headers, "request.headers");
+		assert.func(request.headers.get, "request.headers.get");
+
+		return module.exports.parseRequest(
+			adapter.incomingRequest(request),
+			options,
+		);
+	},
+
+	/**
+	 * Parses the signature on an HTTP response: either an http.IncomingMessage
+	 * from a client request, or a fetch Response.
+	 *
+	 * Responses carrying a 'Signature-Input' header are parsed as RFC 9421
+	 * signatures, where '@status' and components of the request with the "req"
+	 * parameter (e.g. '"@method";req') can be covered. Otherwise the
+	 * 'Signature' header is parsed as in parseRequest(), and
+	 * '(request-target)' refers to the request. The result is the same as from
+	 * parseRequest() or parseMessageSignature().
+	 *
+	 * The request is found from the response (response.req) for
+	 * http.IncomingMessage, but has to be passed in for a fetch Response.
+	 *
+	 * @param {Object} response an http.IncomingMessage or a fetch Response.
+	 * @param {Object} options an optional options object with:
+	 *                   - request: the http.ClientRequest, fetch Request or
+	 *                              http.IncomingMessage the response answers
+	 *                              (default: response.req).
+	 *                   - and the options of parseRequest() and
+	 *                     parseMessageSignature().
+	 * @return {Object} parsed out object.
+	 * @throws {TypeError} on invalid input.
+	 * @throws {InvalidHeaderError} on an invalid signature header.
+	 * @throws {InvalidParamsError} if the signature parameters or covered
+	 *                              components are invalid.
+	 * @throws {MissingHeaderError} if a covered component is not in the
+	 *                              response (or its request), or a required
+	 *                              one was not covered.
+	 * @throws {StrictParsingError} if old attributes are used in strict parsing
+	 *                              mode.
+	 * @throws {ExpiredRequestError} if the date or signature has expired.
+	 */
+	parseResponse: function parseResponse(response, opts) {
+		assert.object(response, "response");
+		assert.object(response.headers, "response.headers");
+		const options = opts === undefined ? {} : opts;
+		assert.object(options, "options");
+		assert.optionalObject(options.request, "options.request");
+		assert.optionalString(options.scheme, "options.scheme");
+
+		const described = responseMessage(response, options);
+		if (described.headers[utils.HEADER.SIG_INPUT] !== undefined)
+			return parseSignatureFields(
+				described.headers,
+				described.message,
+				options,
+				"response",
+			);
+
+		const request = described.message.request || {};
+		return module.exports.parseRequest(
+			{
+				method: request.method,
+				originalUrl: request.target,
+				url: request.target,
+				httpVersion: response.httpVersion || "1.1",
+				headers: described.headers,
+			},
+			options,
+		);
+	},
 };
@@ -0,0 +1,295 @@
+// Copyright 2026 Firefish.
+
+/*
+ * A pool of worker threads that verify signatures off the event loop, for
+ * servers that receive more signed requests than they can verify in line.
+ */
+
+const assert = require("assert-plus");
+const events = require("events");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const backend = require("./backend");
+const utils = require("./utils");
+
+const HttpSignatureError = utils.HttpSignatureError;
+const InvalidAlgorithmError = utils.InvalidAlgorithmError;
+
+///--- Globals
+
+const WORKER = path.join(__dirname, "worker.js");
+
+/* Verifications a worker is sent at a time; the rest wait in the queue. */
+const MAX_IN_FLIGHT = 4;
+const DEFAULT_MAX_QUEUE = 1000;
+
+///--- Specific Errors
+
+function PoolFullError(message) {
+	HttpSignatureError.call(this, message, PoolFullError);
+}
+util.inherits(PoolFullError, HttpSignatureError);
+
+function PoolClosedError(message) {
+	HttpSignatureError.call(this, message, PoolClosedError);
+}
+util.inherits(PoolClosedError, HttpSignatureError);
+
+///--- Helpers
+
+function defaultSize() {
+	const cpus = os.availableParallelism
+		? os.availableParallelism()
+		: os.cpus().length;
+	return Math.max(1, cpus - 1);
+}
+
+/* Rebuilds an error thrown in a worker from its name and message. */
+function workerError(error) {
+	if (error.name === "InvalidAlgorithmError")
+		return new InvalidAlgorithmError(error.message);
+	if (error.name === "TypeError") return new TypeError(error.message);
+	const e = new Error(error.message);
+	e.name = error.name;
+	return e;
+}
+
+/* The parts of a parsed signature that verifySignature() reads. */
+function taskSignature(parsedSignature) {
+	assert.object(parsedSignature, "parsedSignature");
+	assert.object(parsedSignature.params, "parsedSignature.params");
+	const parsed = {
+		algorithm: parsedSignature.algorithm,
+		params: { signature: parsedSignature.params.signature },
+		signingString: parsedSignature.signingString,
+	};
+	if (parsedSignature.format !== undefined)
+		parsed.format = parsedSignature.format;
+	return parsed;
+}
+
+/* Starts a worker, which replaces itself should it exit unexpectedly. */
+function spawn(pool) {
+	/* Loaded here so that older runtimes can still use everything else. */
+	const workerThreads = require("worker_threads");
+	const entry = {
+		worker: new workerThreads.Worker(WORKER, {
+			workerData: { backend: pool.vp_backend },
+		}),
+		tasks: new Map(),
+		online: false,
+	};
+
+	function fail(err) {
+		entry.tasks.forEach(function (task) {
+			task.reject(err);
+		});
+		entry.tasks.clear();
+	}
+
+	entry.worker.on("message", function (message) {
+		const task = entry.tasks.get(message.id);
+		entry.tasks.delete(message.id);
+		if (message.error !== undefined) task.reject(workerError(message.error));
+		else task.resolve(message.result);
+		dispatch(pool);
+	});
+	entry.worker.on("online", function () {
+		entry.online = true;
+	});
+	entry.worker.on("error", fail);
+	entry.worker.on("exit", function (code) {
+		const err = new Error(`verification worker exited with code ${code}`);
+		fail(err);
+		pool.vp_workers.splice(pool.vp_workers.indexOf(entry), 1);
+		/* A worker that never started would only fail again. */
+		if (
+			entry.online &&
+			(pool.vp_closing === undefined || pool.vp_queue.length > 0)
+		)
+			spawn(pool);
+		if (pool.vp_workers.length === 0)
+			pool.vp_queue.splice(0).forEach(function (task) {
+				task.reject(err);
+			});
+		dispatch(pool);
+	});
+	pool.vp_workers.push(entry);
+}
+
+/*
+ * Sends queued verifications to the least busy workers, and once the pool
+ * is closing and has nothing left to do, stops them.
+ */
+function dispatch(pool) {
+	while (pool.vp_queue.length > 0) {
+		const entry = pool.vp_workers.reduce(function (best, e) {
+			return best === undefined || e.tasks.size < best.tasks.size ? e : best;
+		}, undefined);
+		if (entry === undefined || entry.tasks.size >= MAX_IN_FLIGHT) break;
+
+		const task = pool.vp_queue.shift();
+		entry.tasks.set(task.id, task);
+		entry.worker.postMessage(task.message);
+	}
+
+	if (pool.vp_full && pool.vp_queue.length === 0) {
+		pool.vp_full = false;
+		pool.emit("drain");
+	}
+
+	if (pool.vp_closing !== undefined && !pool.vp_stopping) {
+		if (pool.pending() > 0) return;
+		pool.vp_stopping = true;
+		Promise.all(
+			pool.vp_workers.map(function (entry) {
+				return entry.worker.terminate();
+			}),
+		).then(pool.vp_closed);
+	}
+}
+
+///--- API
+
+/* See createVerificationPool() */
+function VerificationPool(options) {
+	assert.optionalObject(options, "options");
+	const opts = options || {};
+	assert.optionalNumber(opts.size, "options.size");
+	assert.optionalNumber(opts.maxQueue, "options.maxQueue");
+	if (opts.size !== undefined && !(opts.size >= 1))
+		throw new TypeError("options.size must be at least 1");
+	if (opts.maxQueue !== undefined && !(opts.maxQueue >= 0))
+		throw new TypeError("options.maxQueue must not be negative");
+
+	events.EventEmitter.call(this);
+	this.vp_backend = backend.backendOf(opts.backend);
+	this.vp_maxQueue =
+		opts.maxQueue === undefined ? DEFAULT_MAX_QUEUE : opts.maxQueue;
+	this.vp_workers = [];
+	this.vp_queue = [];
+	this.vp_nextId = 0;
+	this.vp_full = false;
+	this.vp_closing = undefined;
+	this.vp_closed = undefined;
+	this.vp_stopping = false;
+
+	const size = opts.size === undefined ? defaultSize() : Math.floor(opts.size);
+	for (let i = 0; i < size; i++) spawn(this);
+}
+util.inherits(VerificationPool, events.EventEmitter);
+
+/**
+ * Verifies a signature in a worker, with the same result as
+ * verifySignature(parsedSignature, pubkey).
+ *
+ * When maxQueue verifications are already waiting for a worker, this
+ * rejects with a PoolFullError, and the pool emits 'drain' once its queue
+ * has emptied again. Should every worker exit before it has started, what
+ * was given to the pool and any later verifications are rejected.
+ *
+ * @param {Object} parsedSignature the object you got from `parse`.
+ * @param {String|Buffer|KeyObject} pubkey the public key.
+ * @return {Promise} resolving with true if valid, false otherwise, and
+ *                   rejecting with what verifySignature() would throw.
+ */
+VerificationPool.prototype.verify = function (parsedSignature, pubkey) {
+	const self = this;
+	return new Promise(function (resolve, reject) {
+		const parsed = taskSignature(parsedSignature);
+		if (
+			typeof pubkey !== "string" &&
+			!Buffer.isBuffer(pubkey) &&
+			!backend.isKeyObject(pubkey)
+		)
+			throw new TypeError(
+				"pubkey must be a string, Buffer or crypto.KeyObject",
+			);
+		if (self.vp_closing !== undefined)
+			throw new PoolClosedError("the verification pool is closed");
+		/* Workers that exited before they started are not replaced. */
+		if (self.vp_workers.length === 0)
+			throw new Error("every verification worker has exited");
+		if (self.vp_queue.length >= self.vp_maxQueue) {
+			self.vp_full = true;
+			throw new PoolFullError(
+				`${self.vp_queue.length} verifications are already queued`,
+			);
+		}
+
+		const id = self.vp_nextId++;
+		self.vp_queue.push({
+			id: id,
+			message: { id: id, parsed: parsed, key: pubkey },
+			resolve: resolve,
+			reject: reject,
+		});
+		dispatch(self);
+	});
+};
+
+/**
+ * The number of verifications waiting for a worker or being run.
+ *
+ * @return {Number}
+ */
+VerificationPool.prototype.pending = function () {
+	return this.vp_workers.reduce(function (n, entry) {
+		return n + entry.tasks.size;
+	}, this.vp_queue.length);
+};
+
+/**
+ * Closes the pool: verify() rejects from now on, and once the verifications
+ * already given to it are done, the workers are stopped.
+ *
+ * @return {Promise} resolving once the workers have stopped.
+ */
+VerificationPool.prototype.close = function () {
+	if (this.vp_closing === undefined) {
+		const self = this;
+		this.vp_closing = new Promise(function (resolve) {
+			self.vp_closed = function () {
+				resolve();
+			};
+		});
+		dispatch(this);
+	}
+	return this.vp_closing;
+};
+
+///--- Exported API
+
+module.exports = {
+	VerificationPool: VerificationPool,
+
+	/**
+	 * Creates a pool of worker threads to verify signatures in, so that RSA
+	 * and other slow verifications do not block the event loop:
+	 *
+	 *     const pool = httpSignature.createVerificationPool({ size: 4 });
+	 *     const valid = await pool.verify(parsed, publicKeyPem);
+	 *     ...
+	 *     await pool.close();
+	 *
+	 * Each worker verifies with verifySignature(), and caches the keys it is
+	 * given as it does. The workers keep the process running until the pool
+	 * is closed.
+	 *
+	 * @param {Object} options optional; with:
+	 *                   - {Number} size optional; the number of workers
+	 *                              (default one less than the number of
+	 *                              CPUs, and at least 1).
+	 *                   - {Number} maxQueue optional; how many verifications
+	 *                              may wait for a worker before verify()
+	 *                              rejects (default 1000).
+	 *                   - {String} backend optional; "native" or "sshpk"
+	 *                              (default as set by setCryptoBackend()).
+	 * @return {VerificationPool}
+	 * @throws {TypeError} on bad input.
+	 */
+	createVerificationPool: function createVerificationPool(options) {
+		return new VerificationPool(options);
+	},
+};
@@ -0,0 +1,134 @@
+// Copyright 2026 Firefish.
+
+const assert = require("assert-plus");
+const authenticate = require("./authenticate");
+const utils = require("./utils");
+
+///--- Globals
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+/*
+ * The restify-errors class each of our errors becomes. Every module keeps its
+ * own copies of the error classes, so they are matched by name.
+ */
+const RESTIFY_ERRORS = {
+	ExpiredRequestError: "RequestExpiredError",
+	InvalidHeaderError: "InvalidHeaderError",
+	InvalidParamsError: "InvalidHeaderError",
+	StrictParsingError: "InvalidHeaderError",
+	StructuredFieldError: "InvalidHeaderError",
+	MissingHeaderError: "UnauthorizedError",
+	InvalidAlgorithmError: "InvalidCredentialsError",
+	InvalidSignatureError: "InvalidCredentialsError",
+	UnknownKeyError: "InvalidCredentialsError",
+	InvalidDigestError: "BadDigestError",
+	NotAuthorizedError: "NotAuthorizedError",
+};
+
+///--- Helpers
+
+/*
+ * Restify requests are plain http.IncomingMessages, so this only adds the
+ * restify request itself as `request`, for key resolvers and authorize
+ * functions.
+ */
+function adapt(req) {
+	return {
+		method: req.method,
+		url: req.url,
+		httpVersion: req.httpVersion,
+		headers: req.headers,
+		socket: req.socket,
+		request: req,
+	};
+}
+
+/*
+ * Finds the raw body of a restify request for digest checks: one kept by
+ * restify's body parsers, or failing those, the unread request stream.
+ */
+function rawBody(auth, req) {
+	if (req.rawBody !== undefined) return req.rawBody;
+	if (Buffer.isBuffer(req.body) || typeof req.body === "string")
+		return req.body;
+
+	if (req._readBody || req.readableEnded)
+		throw new Error(
+			"the request body was read before its digest could be checked; " +
+				"use this plugin after restify's bodyParser",
+		);
+
+	/* Leave the body where restify's bodyReader would, so it skips it. */
+	req._readBody = true;
+	return auth.readBody(req).then(function (body) {
+		req.rawBody = body;
+		req.body = body;
+		return body;
+	});
+}
+
+function toRestifyError(errors, err) {
+	const name = RESTIFY_ERRORS[err.name] || "UnauthorizedError";
+	return new errors[name]({ cause: err }, err.message);
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Creates a restify plugin that verifies the signature on each request:
+	 *
+	 *     server.use(httpSignature.restify(options));
+	 *
+	 * On success, `req.httpSignature` is set to the credentials: an object
+	 * with the `keyId`, the resolved `key` and the parsed `signature`.
+	 * Otherwise next() is called with a restify-errors error, with the
+	 * library's error as its cause: UnauthorizedError (with
+	 * 'WWW-Authenticate' and 'Accept-Signature' headers) for a missing
+	 * signature, InvalidCredentialsError for one that does not verify,
+	 * RequestExpiredError, InvalidHeaderError or BadDigestError for a request
+	 * that is malformed, and NotAuthorizedError when the authorize function
+	 * refused it.
+	 *
+	 * @param {Object} options as for createAuthenticator().
+	 * @return {Function} plugin.
+	 * @throws {TypeError} on bad input.
+	 */
+	restify: function restify(options) {
+		assert.object(options, "options");
+
+		/* Only needed, and only installed, alongside restify. */
+		const errors = require("restify-errors");
+
+		const auth = authenticate.createAuthenticator(options);
+
+		return function verifyHttpSignature(req, res, next) {
+			auth
+				.authenticate(adapt(req), function () {
+					return rawBody(auth, req);
+				})
+				.then(
+					function (credentials) {
+						req.httpSignature = credentials;
+						next();
+					},
+					function (err) {
+						if (!(err instanceof HttpSignatureError)) {
+							next(err);
+							return;
+						}
+
+						const rerr = toRestifyError(errors, err);
+						if (rerr.statusCode === 401) {
+							const headers = auth.challenge();
+							Object.keys(headers).forEach(function (name) {
+								res.header(name, headers[name]);
+							});
+						}
+						next(rerr);
+					},
+				);
+		};
+	},
+};
@@ -5,6 +5,11 @@ const crypto = require("crypto");
 const util = require("util");
 const sshpk = require("sshpk");
 const jsprim = require("jsprim");
+const adapter = require("./adapter");
+const backend = require("./backend");
+const components = require("./components");
+const digest = require("./digest");
+const sf = require("./structured");
 const utils = require("./utils");
 
 const sprintf = require("util").format;
@@ -27,6 +32,12 @@ const AUTHZ_PARAMS = [
 	"signature",
 ];
 
+const DEFAULT_COMPONENTS = ["@method", "@target-uri", "date"];
+const DEFAULT_RESPONSE_COMPONENTS = ["@status", "date"];
+
+/* Methods that fetch() sends in upper case, whatever case they are given in. */
+const FETCH_METHODS = ["DELETE", "GET", "HEAD", "OPTIONS", "POST", "PUT"];
+
 ///--- Specific Errors
 
 function MissingHeaderError(message) {
@@ -53,7 +64,8 @@ function FormatAuthz(prefix, params) {
 		} else {
 			assert.string(value, `params.${param}`);
 
-			authz += prefix + sprintf('%s="%s"', param, value);
+			authz +=
+				prefix + sprintf('%s="%s"', param, value.replace(/[\\"]/g, "\\$&"));
 		}
 		prefix = ",";
 	}
@@ -61,6 +73,323 @@ function FormatAuthz(prefix, params) {
 	return authz;
 }
 
+/*
+ * Returns the RFC 9421 "alg" name for an algorithm such as "rsa-sha256", or
+ * undefined when there is none (the alg parameter is optional).
+ */
+function messageAlgorithm(algorithm, key) {
+	return Object.keys(utils.RFC9421_ALGOS).find(function (name) {
+		if (utils.RFC9421_ALGOS[name] !== algorithm) return false;
+		return key === undefined || key.type !== "ecdsa"
+			? true
+			: name.split("-")[1] === key.curve.replace("nist", "");
+	});
+}
+
+/* Builds the RFC 9421 signature parameters. */
+function messageParams(options, algorithm, key) {
+	const params = new Map();
+	const created = Math.floor(Date.now() / 1000);
+	params.set("created", created);
+	if (options.expiresIn !== undefined)
+		params.set("expires", created + options.expiresIn);
+	if (options.keyId !== undefined) params.set("keyid", options.keyId);
+	if (algorithm !== undefined && !options.hideAlgorithm) {
+		const alg = messageAlgorithm(algorithm, key);
+		if (alg !== undefined) params.set("alg", alg);
+	}
+	if (options.nonce !== undefined) params.set("nonce", options.nonce);
+	if (options.tag !== undefined) params.set("tag", options.tag);
+	return params;
+}
+
+/* Formats the RFC 9421 Signature-Input and Signature field values. */
+function FormatMessage(label, covered, params, signature) {
+	return {
+		"signature-input": sf.serializeDictionary(
+			new Map([[label, { value: covered, params: params }]]),
+		),
+		signature: sf.serializeDictionary(
+			new Map([[label, Buffer.from(signature, "base64")]]),
+		),
+	};
+}
+
+/*
+ * Turns an sshpk signature into the base64 string that goes on the wire. RFC
+ * 9421 wants the raw r and s values of ECDSA signatures instead of DER.
+ */
+function encodeSignature(sigObj, key, format) {
+	if (format === utils.FORMAT.RFC9421 && key.type === "ecdsa")
+		return utils
+			.ecdsaDERToRaw(sigObj.toBuffer("asn1"), Math.ceil(key.size / 8))
+			.toString("base64");
+	return sigObj.toString();
+}
+
+/*
+ * Adds the digest header to the headers to sign when there is a body, unless
+ * it is already covered (possibly with component parameters).
+ */
+function withDigest(headers, body, name) {
+	if (body === undefined) return headers;
+	const h = headers.map(function (header) {
+		return header.split(";")[0].replace(/"/g, "").toLowerCase();
+	});
+	return h.indexOf(name) === -1 ? headers.concat([name]) : headers;
+}
+
+/*
+ * Sets the Digest or Content-Digest header for options.body on a request,
+ * returning the name of the header to sign.
+ */
+function setDigestHeader(request, options) {
+	assert.ok(
+		typeof options.body === "string" || Buffer.isBuffer(options.body),
+		"options.body must be a string or Buffer",
+	);
+	const name = (options.digestHeader || "digest").toLowerCase();
+	if (name === "digest") {
+		request.setHeader(
+			"Digest",
+			digest.createDigest(options.body, options.digestAlgorithms),
+		);
+	} else if (name === "content-digest") {
+		request.setHeader(
+			"Content-Digest",
+			digest.createContentDigest(options.body, options.digestAlgorithms),
+		);
+	} else {
+		throw new TypeError(
+			`options.digestHeader ${options.digestHeader} is not supported`,
+		);
+	}
+	return name;
+}
+
+/* Signs a complete signing string for signRequest(). */
+function signData(data, key, alg, format) {
+	if (alg[0] === "hmac") {
+		const hmac = crypto.createHmac(alg[1].toUpperCase(), key);
+		hmac.update(data);
+		return hmac.digest("base64");
+	}
+
+	const signer = key.createSign(alg[1]);
+	signer.update(data);
+	const sigObj = signer.sign();
+	if (!HASH_ALGOS[sigObj.hashAlgorithm]) {
+		throw new InvalidAlgorithmError(
+			`${sigObj.hashAlgorithm.toUpperCase()} is not a supported hash algorithm`,
+		);
+	}
+	assert.strictEqual(alg[1], sigObj.hashAlgorithm, "hash algorithm mismatch");
+	const signature = encodeSignature(sigObj, key, format);
+	assert.notStrictEqual(signature, "", "empty signature produced");
+	return signature;
+}
+
+/*
+ * Works out the key and algorithm to sign with, parsing the key unless it is
+ * one already parsed, and the algorithm name to put in signatures.
+ */
+function prepareKey(options) {
+	assert.optionalString(options.algorithm, "options.algorithm");
+	assert.optionalString(options.keyPassphrase, "options.keyPassphrase");
+	assert.optionalBool(options.hideAlgorithm, "options.hideAlgorithm");
+
+	let alg = [];
+	let algorithm;
+	if (options.algorithm) {
+		algorithm = options.algorithm.toLowerCase();
+		alg = validateAlgorithm(algorithm);
+	}
+
+	let key = options.key;
+	if (alg[0] === "hmac") {
+		if (typeof key !== "string" && !Buffer.isBuffer(key))
+			throw new TypeError("options.key must be a string or Buffer");
+	} else {
+		key = backend.privateKey(key, options.keyPassphrase, options.backend);
+
+		assert.ok(
+			backend.isNativeKey(key) || sshpk.PrivateKey.isPrivateKey(key, [1, 2]),
+			"options.key must be a sshpk.PrivateKey",
+		);
+
+		if (!PK_ALGOS[key.type]) {
+			throw new InvalidAlgorithmError(
+				`${key.type.toUpperCase()} type keys are not supported`,
+			);
+		}
+
+		if (alg[0] === undefined) {
+			alg[0] = key.type;
+		} else if (key.type !== alg[0]) {
+			throw new InvalidAlgorithmError(
+				`options.key must be a ${alg[0].toUpperCase()} key, was given a ${key.type.toUpperCase()} key instead`,
+			);
+		}
+		if (alg[1] === undefined) {
+			alg[1] = key.defaultHashAlgorithm();
+		}
+
+		algorithm = options.hideAlgorithm ? "hs2019" : `${alg[0]}-${alg[1]}`;
+	}
+
+	return { key: key, alg: alg, algorithm: algorithm };
+}
+
+/*
+ * The part of signing common to requests and responses: checks the options,
+ * adds the digest and Date headers, and works out the key and algorithm, or
+ * takes them from a SigningKey given as the key.
+ */
+function prepareSigning(target, options) {
+	assert.object(target, "target");
+	assert.object(options, "options");
+	assert.string(options.keyId, "options.keyId");
+	assert.optionalString(options.opaque, "options.opaque");
+	assert.optionalArrayOfString(options.headers, "options.headers");
+	assert.optionalString(options.httpVersion, "options.httpVersion");
+	assert.optionalNumber(options.expiresIn, "options.expiresIn");
+	assert.optionalString(options.format, "options.format");
+	if (
+		options.format !== undefined &&
+		options.format !== utils.FORMAT.CAVAGE &&
+		options.format !== utils.FORMAT.RFC9421
+	)
+		throw new TypeError(`options.format ${options.format} is not supported`);
+
+	const prepared =
+		options.key instanceof SigningKey
+			? options.key.sk_prepared
+			: prepareKey(options);
+
+	assert.optionalString(options.digestHeader, "options.digestHeader");
+	let digestHeader;
+	if (options.body !== undefined)
+		digestHeader = setDigestHeader(target, options);
+
+	if (!target.getHeader("Date"))
+		target.setHeader("Date", jsprim.rfc1123(new Date()));
+	if (!options.httpVersion) options.httpVersion = "1.1";
+	if (prepared.algorithm !== undefined) options.algorithm = prepared.algorithm;
+
+	return { key: prepared.key, alg: prepared.alg, digestHeader: digestHeader };
+}
+
+/*
+ * Reads the fields covered by an RFC 9421 signature from a message being
+ * sent. Derived components and those of the request a response answers are
+ * left to the component functions.
+ */
+function coveredFields(message, covered, kind) {
+	const fields = {};
+	covered.forEach(function (component) {
+		const name = component.value;
+		if (name.charAt(0) === "@" || component.params.get("req") === true) return;
+		const value = message.getHeader(name);
+		if (value === undefined || value === "") {
+			throw new MissingHeaderError(`${name} was not in the ${kind}`);
+		}
+		fields[name] = value;
+	});
+	return fields;
+}
+
+/*
+ * Signs the covered components of a message and adds the Signature-Input and
+ * Signature headers to it.
+ */
+function addMessageSignature(message, covered, description, options, key, alg) {
+	assert.optionalString(options.label, "options.label");
+	assert.optionalString(options.nonce, "options.nonce");
+	assert.optionalString(options.tag, "options.tag");
+
+	const params = messageParams(options, alg.join("-"), key);
+	const stringToSign = components.signatureBase(covered, params, description);
+
+	/* This is just for unit tests. */
+	if (Object.prototype.hasOwnProperty.call(message, "_stringToSign")) {
+		message._stringToSign = stringToSign;
+	}
+
+	const signature = signData(stringToSign, key, alg, utils.FORMAT.RFC9421);
+	const headers = FormatMessage(
+		options.label || "sig1",
+		covered,
+		params,
+		signature,
+	);
+	message.setHeader("Signature-Input", headers["signature-input"]);
+	message.setHeader("Signature", headers.signature);
+
+	return true;
+}
+
+/*
+ * The RFC 9421 half of signRequest(), called once the key and algorithm are
+ * known.
+ */
+function signMessageRequest(request, options, key, alg, digestHeader) {
+	assert.optionalString(options.scheme, "options.scheme");
+
+	const covered = withDigest(
+		options.headers || DEFAULT_COMPONENTS,
+		options.body,
+		digestHeader,
+	).map(components.parseComponentName);
+
+	let scheme = options.scheme;
+	if (scheme === undefined) {
+		scheme = (request.protocol || "http:").replace(/:$/, "");
+	}
+
+	return addMessageSignature(
+		request,
+		covered,
+		{
+			method: request.method,
+			target: request.path,
+			scheme: scheme,
+			authority: request.getHeader("host"),
+			headers: coveredFields(request, covered, "request"),
+		},
+		options,
+		key,
+		alg,
+	);
+}
+
+/*
+ * The RFC 9421 half of signResponse(), called once the key and algorithm are
+ * known.
+ */
+function signMessageResponse(response, options, key, alg, digestHeader) {
+	assert.optionalString(options.scheme, "options.scheme");
+
+	const covered = withDigest(
+		options.headers || DEFAULT_RESPONSE_COMPONENTS,
+		options.body,
+		digestHeader,
+	).map(components.parseComponentName);
+
+	const request = options.request || response.req;
+	return addMessageSignature(
+		response,
+		covered,
+		{
+			status: response.statusCode,
+			headers: coveredFields(response, covered, "response"),
+			request: request ? adapter.describeRequest(request, options) : undefined,
+		},
+		options,
+		key,
+		alg,
+	);
+}
+
 /* See createSigner() */
 function RequestSigner(options) {
 	assert.object(options, "options");
@@ -72,6 +401,29 @@ function RequestSigner(options) {
 	}
 	this.rs_alg = alg;
 
+	assert.optionalString(options.format, "options.format");
+	this.rs_format = options.format || utils.FORMAT.CAVAGE;
+	if (this.rs_format === utils.FORMAT.RFC9421) {
+		assert.optionalString(options.label, "options.label");
+		assert.optionalNumber(options.expiresIn, "options.expiresIn");
+		assert.optionalString(options.nonce, "options.nonce");
+		assert.optionalString(options.tag, "options.tag");
+		assert.optionalBool(options.hideAlgorithm, "options.hideAlgorithm");
+		this.rs_label = options.label || "sig1";
+		this.rs_params = {
+			keyId: options.keyId,
+			expiresIn: options.expiresIn,
+			nonce: options.nonce,
+			tag: options.tag,
+			hideAlgorithm: options.hideAlgorithm,
+		};
+	} else if (this.rs_format === utils.FORMAT.CAVAGE) {
+		assert.optionalString(options.opaque, "options.opaque");
+		this.rs_opaque = options.opaque;
+	} else {
+		throw new TypeError(`options.format ${this.rs_format} is not supported`);
+	}
+
 	/*
 	 * RequestSigners come in two varieties: ones with an rs_signFunc, and ones
 	 * with an rs_signer.
@@ -84,6 +436,11 @@ function RequestSigner(options) {
 	 */
 	if (options.sign !== undefined) {
 		assert.func(options.sign, "options.sign");
+		/* The keyid is signed along with the headers in RFC 9421. */
+		if (this.rs_format === utils.FORMAT.RFC9421)
+			assert.string(options.keyId, "options.keyId");
+		else assert.optionalString(options.keyId, "options.keyId");
+		this.rs_keyId = options.keyId;
 		this.rs_signFunc = options.sign;
 	} else if (alg[0] === "hmac" && options.key !== undefined) {
 		assert.string(options.keyId, "options.keyId");
@@ -108,15 +465,15 @@ function RequestSigner(options) {
 			};
 		};
 	} else if (options.key !== undefined) {
-		let key = options.key;
-		if (typeof key === "string" || Buffer.isBuffer(key))
-			assert.optionalString(options.keyPassphrase, "options.keyPassphrase");
-		key = sshpk.parsePrivateKey(key, "auto", {
-			passphrase: options.keyPassphrase,
-		});
+		assert.optionalString(options.keyPassphrase, "options.keyPassphrase");
+		const key = backend.privateKey(
+			options.key,
+			options.keyPassphrase,
+			options.backend,
+		);
 
 		assert.ok(
-			sshpk.PrivateKey.isPrivateKey(key, [1, 2]),
+			backend.isNativeKey(key) || sshpk.PrivateKey.isPrivateKey(key, [1, 2]),
 			"options.key must be a sshpk.PrivateKey",
 		);
 		this.rs_key = key;
@@ -136,18 +493,51 @@ function RequestSigner(options) {
 			);
 		}
 
-		this.rs_signer = key.createSign(alg[1]);
+		if (this.rs_format === utils.FORMAT.RFC9421) {
+			/* The alg param is signed, so the hash has to be known up front. */
+			this.rs_alg = [key.type, alg[1] || key.defaultHashAlgorithm()];
+		}
+
+		this.rs_signer = key.createSign(this.rs_alg[1]);
 	} else {
 		throw new TypeError("options.sign (func) or options.key is required");
 	}
 
 	this.rs_headers = [];
+	this.rs_components = [];
 	this.rs_lines = [];
+	this.rs_algorithm = undefined;
+	this.rs_created = undefined;
+	this.rs_expires = undefined;
+}
+
+/* Throws for pseudo-headers, which only draft-cavage signatures have. */
+function assertCavage(rs, header) {
+	if (rs.rs_format !== utils.FORMAT.CAVAGE)
+		throw new TypeError(
+			`${header} is only signed in draft-cavage signatures, not RFC 9421`,
+		);
+}
+
+/* The parameters of a draft-cavage Authorization header from a signer. */
+function signerParams(rs, keyId, algorithm, signature) {
+	return {
+		keyId: keyId,
+		algorithm: algorithm,
+		created: rs.rs_created,
+		expires: rs.rs_expires,
+		opaque: rs.rs_opaque,
+		headers: rs.rs_headers.join(" "),
+		signature: signature,
+	};
 }
 
 /**
  * Adds a header to be signed, with its value, into this signer.
  *
+ * In RFC 9421 mode the header may also be a derived component such as
+ * '@method' or carry component parameters such as 'content-digest;sf'.
+ *
  * @param {String} header
  * @param {String} value
  * @return {String} value written
@@ -159,13 +549,18 @@ RequestSigner.prototype.writeHeader = function (header, value) {
 
 	this.rs_headers.push(header);
 
+	let name = header;
+	if (this.rs_format === utils.FORMAT.RFC9421) {
+		const component = components.parseComponentName(header);
+		this.rs_components.push(component);
+		name = sf.serializeItem(component);
+	}
+
 	if (this.rs_signFunc) {
-		this.rs_lines.push(`${header}: ${value}`);
+		this.rs_lines.push(`${name}: ${value}`);
 	} else {
 		const line =
-			this.rs_headers.length > 1
-				? `\n${header}: ${value}`
-				: `${header}: ${value}`;
+			this.rs_headers.length > 1 ? `\n${name}: ${value}` : `${name}: ${value}`;
 		this.rs_signer.update(line);
 	}
 
@@ -182,7 +577,121 @@ RequestSigner.prototype.writeDateHeader = function () {
 };
 
 /**
- * Adds the request target line to be signed.
+ * Adds the (created) pseudo-header, the current time, which also goes in the
+ * created parameter of the signature.
+ *
+ * @return {Number} the time, in seconds since the epoch.
+ * @throws {TypeError} in RFC 9421 mode.
+ */
+RequestSigner.prototype.writeCreated = function () {
+	assertCavage(this, "(created)");
+	this.rs_created = Math.floor(Date.now() / 1000);
+	this.writeHeader("(created)", String(this.rs_created));
+	return this.rs_created;
+};
+
+/**
+ * Adds the (expires) pseudo-header, which also goes in the expires parameter
+ * of the signature.
+ *
+ * @param {Number} expiresIn optional; seconds from now (or from the
+ *                 (created) time, if written) until the signature expires,
+ *                 defaulting to 60.
+ * @return {Number} the time, in seconds since the epoch.
+ * @throws {TypeError} in RFC 9421 mode.
+ */
+RequestSigner.prototype.writeExpires = function (expiresIn) {
+	assertCavage(this, "(expires)");
+	assert.optionalNumber(expiresIn, "expiresIn");
+	const from =
+		this.rs_created !== undefined
+			? this.rs_created
+			: Math.floor(Date.now() / 1000);
+	this.rs_expires = from + (expiresIn !== undefined ? expiresIn : 60);
+	this.writeHeader("(expires)", String(this.rs_expires));
+	return this.rs_expires;
+};
+
+/**
+ * Adds the (keyid) pseudo-header. Signers with a sign function need to be
+ * given the keyId in their options for this, and their signatures must then
+ * be made with it.
+ *
+ * @return {String} the keyId.
+ * @throws {TypeError} in RFC 9421 mode, or if the keyId is not known.
+ */
+RequestSigner.prototype.writeKeyId = function () {
+	assertCavage(this, "(keyid)");
+	if (this.rs_keyId === undefined)
+		throw new TypeError("options.keyId is required to sign (keyid)");
+	return this.writeHeader("(keyid)", this.rs_keyId);
+};
+
+/**
+ * Adds the (algorithm) pseudo-header. Signers with a sign function need to
+ * be given the algorithm in their options for this, and their signatures
+ * must then be made with it.
+ *
+ * @return {String} the algorithm.
+ * @throws {TypeError} in RFC 9421 mode, or if the algorithm is not known.
+ */
+RequestSigner.prototype.writeAlgorithm = function () {
+	assertCavage(this, "(algorithm)");
+	if (this.rs_key !== undefined)
+		this.rs_algorithm = `${this.rs_key.type}-${
+			this.rs_alg[1] || this.rs_key.defaultHashAlgorithm()
+		}`;
+	else if (this.rs_alg.length > 0) this.rs_algorithm = this.rs_alg.join("-");
+	else throw new TypeError("options.algorithm is required to sign (algorithm)");
+	return this.writeHeader("(algorithm)", this.rs_algorithm);
+};
+
+/**
+ * Adds the (opaque) pseudo-header, which also goes in the opaque parameter
+ * of the signature.
+ *
+ * @param {String} opaque optional; defaults to options.opaque.
+ * @return {String} the opaque value.
+ * @throws {TypeError} in RFC 9421 mode, or if there is no opaque value.
+ */
+RequestSigner.prototype.writeOpaque = function (opaque) {
+	assertCavage(this, "(opaque)");
+	assert.optionalString(opaque, "opaque");
+	if (opaque !== undefined) this.rs_opaque = opaque;
+	assert.string(this.rs_opaque, "opaque");
+	return this.writeHeader("(opaque)", this.rs_opaque);
+};
+
+/**
+ * Adds a Digest header for a request body, returning its value.
+ *
+ * @param {String|Buffer} body
+ * @param {Array} algorithms optional; defaults to ['SHA-256']
+ * @return {String}
+ */
+RequestSigner.prototype.writeDigestHeader = function (body, algorithms) {
+	return this.writeHeader("digest", digest.createDigest(body, algorithms));
+};
+
+/**
+ * Adds an RFC 9530 Content-Digest header for a request body, returning its
+ * value.
+ *
+ * @param {String|Buffer} body
+ * @param {Array|String} algorithms optional; defaults to ['sha-256'], or a
+ *                                  Want-Content-Digest value.
+ * @return {String}
+ */
+RequestSigner.prototype.writeContentDigestHeader = function (body, algorithms) {
+	return this.writeHeader(
+		"content-digest",
+		digest.createContentDigest(body, algorithms),
+	);
+};
+
+/**
+ * Adds the request target line to be signed. In RFC 9421 mode, this adds
+ * the '@method' and '@request-target' components instead.
  *
  * @param {String} method, HTTP method (e.g. 'get', 'post', 'put')
  * @param {String} path
@@ -190,6 +699,11 @@ RequestSigner.prototype.writeDateHeader = function () {
 RequestSigner.prototype.writeTarget = function (method, path) {
 	assert.string(method, "method");
 	assert.string(path, "path");
+	if (this.rs_format === utils.FORMAT.RFC9421) {
+		this.writeHeader("@method", method.toUpperCase());
+		this.writeHeader("@request-target", path);
+		return;
+	}
 	method = method.toLowerCase();
 	this.writeHeader("(request-target)", `${method} ${path}`);
 };
@@ -198,14 +712,27 @@ RequestSigner.prototype.writeTarget = function (method, path) {
  * Calculate the value for the Authorization header on this request
  * asynchronously.
  *
- * @param {Func} callback (err, authz)
+ * In RFC 9421 mode, the callback is instead given an object holding the
+ * values of the 'signature-input' and 'signature' headers.
+ *
+ * Without a callback, this returns a Promise instead, as signAsync() does.
+ *
+ * @param {Func} callback optional; (err, authz)
+ * @return {Promise} when no callback is given.
+ * @throws {Error} with a callback, if no headers were written.
  */
 RequestSigner.prototype.sign = function (cb) {
+	if (cb === undefined) return this.signAsync();
 	assert.func(cb, "callback");
 
 	if (this.rs_headers.length < 1)
 		throw new Error("At least one header must be signed");
 
+	if (this.rs_format === utils.FORMAT.RFC9421) {
+		signMessage(this, cb);
+		return;
+	}
+
 	let alg;
 	let authz;
 	if (this.rs_signFunc) {
@@ -222,13 +749,23 @@ RequestSigner.prototype.sign = function (cb) {
 				assert.string(sig.algorithm, "signature.algorithm");
 				assert.string(sig.signature, "signature.signature");
 				alg = validateAlgorithm(sig.algorithm);
+				if (self.rs_keyId !== undefined)
+					assert.strictEqual(
+						sig.keyId,
+						self.rs_keyId,
+						"signature.keyId must be options.keyId",
+					);
+				if (self.rs_algorithm !== undefined)
+					assert.strictEqual(
+						sig.algorithm,
+						self.rs_algorithm,
+						"signature.algorithm must be the signed (algorithm)",
+					);
 
-				authz = FormatAuthz("Signature ", {
-					keyId: sig.keyId,
-					algorithm: sig.algorithm,
-					headers: self.rs_headers.join(" "),
-					signature: sig.signature,
-				});
+				authz = FormatAuthz(
+					"Signature ",
+					signerParams(self, sig.keyId, sig.algorithm, sig.signature),
+				);
 			} catch (e) {
 				cb(e);
 				return;
@@ -236,8 +773,9 @@ RequestSigner.prototype.sign = function (cb) {
 			cb(null, authz);
 		});
 	} else {
+		let sigObj;
 		try {
-			const sigObj = this.rs_signer.sign();
+			sigObj = this.rs_signer.sign();
 		} catch (e) {
 			cb(e);
 			return;
@@ -245,17 +783,183 @@ RequestSigner.prototype.sign = function (cb) {
 		alg = sigObj.hideAlgorithm
 			? "hs2019"
 			: `${this.rs_alg[0] || this.rs_key.type}-${sigObj.hashAlgorithm}`;
-		const signature = sigObj.toString();
-		authz = FormatAuthz("Signature ", {
-			keyId: this.rs_keyId,
-			algorithm: alg,
-			headers: this.rs_headers.join(" "),
-			signature: signature,
-		});
+		authz = FormatAuthz(
+			"Signature ",
+			signerParams(this, this.rs_keyId, alg, sigObj.toString()),
+		);
 		cb(null, authz);
 	}
 };
 
+/**
+ * Calculate the value for the Authorization header on this request, as
+ * sign() does, but returning a Promise.
+ *
+ * @return {Promise} resolving with the header value (or in RFC 9421 mode,
+ *                   the object of header values), and rejecting with any
+ *                   error, including for a signer with no headers written.
+ */
+RequestSigner.prototype.signAsync = function () {
+	const self = this;
+	return new Promise(function (resolve, reject) {
+		self.sign(function (err, authz) {
+			if (err) {
+				reject(err);
+				return;
+			}
+			resolve(authz);
+		});
+	});
+};
+
+/* RequestSigner.prototype.sign() for RFC 9421 signers. */
+function signMessage(rs, cb) {
+	const algorithm = rs.rs_alg.length > 0 ? rs.rs_alg.join("-") : undefined;
+	const params = messageParams(rs.rs_params, algorithm, rs.rs_key);
+	const last = `"@signature-params": ${sf.serializeInnerList({
+		value: rs.rs_components,
+		params: params,
+	})}`;
+
+	if (rs.rs_signFunc) {
+		const data = rs.rs_lines.concat([last]).join("\n");
+		rs.rs_signFunc(data, function (err, sig) {
+			if (err) {
+				cb(err);
+				return;
+			}
+			let headers;
+			try {
+				assert.object(sig, "signature");
+				assert.string(sig.signature, "signature.signature");
+				headers = FormatMessage(
+					rs.rs_label,
+					rs.rs_components,
+					params,
+					sig.signature,
+				);
+			} catch (e) {
+				cb(e);
+				return;
+			}
+			cb(null, headers);
+		});
+		return;
+	}
+
+	let headers;
+	try {
+		rs.rs_signer.update(`\n${last}`);
+		const sigObj = rs.rs_signer.sign();
+		const signature = rs.rs_key
+			? encodeSignature(sigObj, rs.rs_key, utils.FORMAT.RFC9421)
+			: sigObj.toString();
+		headers = FormatMessage(rs.rs_label, rs.rs_components, params, signature);
+	} catch (e) {
+		cb(e);
+		return;
+	}
+	cb(null, headers);
+}
+
+/*
+ * Wraps the URL and Headers of a fetch request in the parts of the
+ * http.ClientRequest interface that signRequest() uses. fetch sends a Host
+ * header for the URL itself, so that is what a signed host is.
+ */
+function fetchRequest(url, method, headers) {
+	return {
+		method: method,
+		path: url.pathname + url.search,
+		protocol: url.protocol,
+		getHeader: function (name) {
+			const value = headers.get(name);
+			if (value === null)
+				return name.toLowerCase() === "host" ? url.host : undefined;
+			return value;
+		},
+		setHeader: function (name, value) {
+			headers.set(name, value);
+		},
+	};
+}
+
+/* Options that a SigningKey fixes, and that cannot be given per request. */
+const KEY_OPTIONS = [
+	"keyId",
+	"key",
+	"keyPassphrase",
+	"algorithm",
+	"hideAlgorithm",
+	"backend",
+];
+
+/* See createSigningKey() */
+function SigningKey(options) {
+	assert.object(options, "options");
+	assert.string(options.keyId, "options.keyId");
+	assert.ok(options.key, "options.key");
+	if (options.key instanceof SigningKey)
+		throw new TypeError("options.key is already a SigningKey");
+
+	this.sk_prepared = prepareKey(options);
+	this.sk_options = {};
+	const self = this;
+	Object.keys(options).forEach(function (name) {
+		if (name !== "key" && name !== "keyPassphrase")
+			self.sk_options[name] = options[name];
+	});
+}
+
+/* Merges the options for one request into those of a SigningKey. */
+function keyOptions(sk, options) {
+	assert.optionalObject(options, "options");
+	const opts = Object.assign({}, sk.sk_options);
+	if (options !== undefined) {
+		KEY_OPTIONS.forEach(function (name) {
+			if (options[name] !== undefined)
+				throw new TypeError(`options.${name} is fixed by the SigningKey`);
+		});
+		Object.assign(opts, options);
+	}
+	opts.key = sk;
+	return opts;
+}
+
+/**
+ * Signs a request, as signRequest() does.
+ *
+ * @param {Object} request an instance of http.ClientRequest.
+ * @param {Object} options optional; signing parameters for this request, as
+ *                 for signRequest(), except for the key and algorithm.
+ * @return {Boolean} true if the signature was added.
+ */
+SigningKey.prototype.signRequest = function (request, options) {
+	return module.exports.signRequest(request, keyOptions(this, options));
+};
+
+/**
+ * Signs a request for the WHATWG fetch API, as signFetchRequest() does.
+ *
+ * @param {Object} request a fetch Request, or a description of one.
+ * @param {Object} options optional; as for SigningKey.signRequest().
+ * @return {Object} the signed Request or Headers.
+ */
+SigningKey.prototype.signFetchRequest = function (request, options) {
+	return module.exports.signFetchRequest(request, keyOptions(this, options));
+};
+
+/**
+ * Signs a response, as signResponse() does.
+ *
+ * @param {Object} response an instance of http.ServerResponse.
+ * @param {Object} options optional; as for SigningKey.signRequest().
+ * @return {Boolean} true if the signature was added.
+ */
+SigningKey.prototype.signResponse = function (response, options) {
+	return module.exports.signResponse(response, keyOptions(this, options));
+};
+
 ///--- Exported API
 
 module.exports = {
@@ -279,14 +983,51 @@ module.exports = {
 	 *                   - {String|Buffer} key
 	 *                   - {String} algorithm (optional, required for HMAC)
 	 *                   - {String} keyPassphrase (optional, not for HMAC)
+	 *                   - {String} backend (optional, not for HMAC)
 	 *                 or:
 	 *                   - {Func} sign (data, cb)
+	 *                 and optionally:
+	 *                   - {String} format, "cavage" (default) or "rfc9421"
+	 *                   - {String} keyId and {String} algorithm, for a sign
+	 *                     func, to sign (keyid) and (algorithm) (cavage)
+	 *                   - {String} opaque (cavage)
+	 *                   - {String} label, {Number} expiresIn, {String} nonce,
+	 *                     {String} tag, {Boolean} hideAlgorithm (rfc9421)
 	 * @return {RequestSigner}
 	 */
 	createSigner: function createSigner(options) {
 		return new RequestSigner(options);
 	},
 
+	/**
+	 * Creates a signing key: a key that is parsed and checked once, and can
+	 * then sign any number of requests and responses, with the same results
+	 * as signRequest(), signFetchRequest() and signResponse():
+	 *
+	 *     const key = httpSignature.createSigningKey({
+	 *       keyId: keyId,
+	 *       key: privateKey,
+	 *       headers: ["(request-target)", "host", "date", "digest"],
+	 *     });
+	 *     key.signRequest(req, { body: body });
+	 *
+	 * A signing key can also be given as the key to those functions.
+	 *
+	 * @param {Object} options signing parameters object, as for
+	 *                   signRequest(). The keyId, key, keyPassphrase,
+	 *                   algorithm, hideAlgorithm and backend are fixed by the
+	 *                   signing key; the others are defaults for each
+	 *                   request.
+	 * @return {SigningKey}
+	 * @throws {TypeError} on bad parameter types (input).
+	 * @throws {InvalidAlgorithmError} if algorithm was bad or incompatible with
+	 *                                 the given key.
+	 * @throws {sshpk.KeyParseError} if key was bad.
+	 */
+	createSigningKey: function createSigningKey(options) {
+		return new SigningKey(options);
+	},
+
 	/**
 	 * Adds an 'Authorization' header to an http.ClientRequest object.
 	 *
@@ -305,7 +1046,9 @@ module.exports = {
 	 * @param {Object} request an instance of http.ClientRequest.
 	 * @param {Object} options signing parameters object:
 	 *                   - {String} keyId required.
-	 *                   - {String} key required (either a PEM or HMAC key).
+	 *                   - {String} key required (either a PEM or HMAC key,
+	 *                              a private crypto.KeyObject, or a key from
+	 *                              createSigningKey()).
 	 *                   - {Array} headers optional; defaults to ['date'].
 	 *                   - {String} algorithm optional (unless key is HMAC);
 	 *                              default is the same as the sshpk default
@@ -319,9 +1062,36 @@ module.exports = {
 	 *                              pass to sshpk to parse the privateKey.
 	 *                              This doesn't do anything if algorithm is
 	 *                              HMAC.
+	 *                   - {String} backend optional; "native" to sign with
+	 *                              node's crypto or "sshpk" (default as set
+	 *                              by setCryptoBackend(), itself "native").
+	 *                              SSH-format and DSA keys are always signed
+	 *                              with sshpk.
 	 *                   - {Boolean} hideAlgorithm optional; defaults to 'false'.
 	 *                               if true, hides algorithm by writing "hs2019"
 	 *                               to signature.
+	 *                   - {String|Buffer} body optional; when given, a Digest
+	 *                              header is computed from it and signed.
+	 *                   - {String} digestHeader optional; "digest" (default)
+	 *                              or "content-digest" to send an RFC 9530
+	 *                              Content-Digest header instead.
+	 *                   - {Array|String} digestAlgorithms optional; defaults
+	 *                              to ['SHA-256']. For Content-Digest this
+	 *                              may be the peer's Want-Content-Digest
+	 *                              value.
+	 *                   - {String} format optional; "cavage" (default) or
+	 *                              "rfc9421". In RFC 9421 mode, headers lists
+	 *                              the covered components (defaults to
+	 *                              ['@method', '@target-uri', 'date']) and
+	 *                              Signature-Input and Signature headers are
+	 *                              added instead of Authorization.
+	 *                   - {String} label optional (rfc9421); defaults to
+	 *                              'sig1'.
+	 *                   - {String} nonce optional (rfc9421).
+	 *                   - {String} tag optional (rfc9421).
+	 *                   - {String} scheme optional (rfc9421); used for
+	 *                              '@target-uri' and '@scheme', defaults to
+	 *                              the request's protocol.
 	 * @return {Boolean} true if Authorization (and optionally Date) were added.
 	 * @throws {TypeError} on bad parameter types (input).
 	 * @throws {InvalidAlgorithmError} if algorithm was bad or incompatible with
@@ -332,64 +1102,17 @@ module.exports = {
 	 */
 	signRequest: function signRequest(request, options) {
 		assert.object(request, "request");
-		assert.object(options, "options");
-		assert.optionalString(options.algorithm, "options.algorithm");
-		assert.string(options.keyId, "options.keyId");
-		assert.optionalString(options.opaque, "options.opaque");
-		assert.optionalArrayOfString(options.headers, "options.headers");
-		assert.optionalString(options.httpVersion, "options.httpVersion");
-		assert.optionalNumber(options.expiresIn, "options.expiresIn");
-		assert.optionalString(options.keyPassphrase, "options.keyPassphrase");
-		assert.optionalBool(options.hideAlgorithm, "options.hideAlgorithm");
+		const prepared = prepareSigning(request, options);
+		const key = prepared.key;
+		const alg = prepared.alg;
+		const digestHeader = prepared.digestHeader;
 
-		if (!request.getHeader("Date"))
-			request.setHeader("Date", jsprim.rfc1123(new Date()));
 		let headers = ["date"];
 		if (options.headers) headers = options.headers;
-		if (!options.httpVersion) options.httpVersion = "1.1";
+		headers = withDigest(headers, options.body, digestHeader);
 
-		let alg = [];
-		if (options.algorithm) {
-			options.algorithm = options.algorithm.toLowerCase();
-			alg = validateAlgorithm(options.algorithm);
-		}
-
-		let key = options.key;
-		if (alg[0] === "hmac") {
-			if (typeof key !== "string" && !Buffer.isBuffer(key))
-				throw new TypeError("options.key must be a string or Buffer");
-		} else {
-			if (typeof key === "string" || Buffer.isBuffer(key))
-				key = sshpk.parsePrivateKey(options.key, "auto", {
-					passphrase: options.keyPassphrase,
-				});
-
-			assert.ok(
-				sshpk.PrivateKey.isPrivateKey(key, [1, 2]),
-				"options.key must be a sshpk.PrivateKey",
-			);
-
-			if (!PK_ALGOS[key.type]) {
-				throw new InvalidAlgorithmError(
-					`${key.type.toUpperCase()} type keys are not supported`,
-				);
-			}
-
-			if (alg[0] === undefined) {
-				alg[0] = key.type;
-			} else if (key.type !== alg[0]) {
-				throw new InvalidAlgorithmError(
-					`options.key must be a ${alg[0].toUpperCase()} key, was given a ${key.type.toUpperCase()} key instead`,
-				);
-			}
-			if (alg[1] === undefined) {
-				alg[1] = key.defaultHashAlgorithm();
-			}
-
-			options.algorithm = options.hideAlgorithm
-				? "hs2019"
-				: `${alg[0]}-${alg[1]}`;
-		}
+		if (options.format === utils.FORMAT.RFC9421)
+			return signMessageRequest(request, options, key, alg, digestHeader);
 
 		const params = {
 			keyId: options.keyId,
@@ -419,6 +1142,10 @@ module.exports = {
 					);
 				}
 			} else if (h === "(request-target)") {
+				if (!request.method)
+					throw new MissingHeaderError(
+						"(request-target) has no request to refer to",
+					);
 				stringToSign += `(request-target): ${request.method.toLowerCase()} ${
 					request.path
 				}`;
@@ -460,28 +1187,7 @@ module.exports = {
 			request._stringToSign = stringToSign;
 		}
 
-		let signature;
-		if (alg[0] === "hmac") {
-			const hmac = crypto.createHmac(alg[1].toUpperCase(), key);
-			hmac.update(stringToSign);
-			signature = hmac.digest("base64");
-		} else {
-			const signer = key.createSign(alg[1]);
-			signer.update(stringToSign);
-			const sigObj = signer.sign();
-			if (!HASH_ALGOS[sigObj.hashAlgorithm]) {
-				throw new InvalidAlgorithmError(
-					`${sigObj.hashAlgorithm.toUpperCase()} is not a supported hash algorithm`,
-				);
-			}
-			assert.strictEqual(
-				alg[1],
-				sigObj.hashAlgorithm,
-				"hash algorithm mismatch",
-			);
-			signature = sigObj.toString();
-			assert.notStrictEqual(signature, "", "empty signature produced");
-		}
+		const signature = signData(stringToSign, key, alg, utils.FORMAT.CAVAGE);
 
 		const authzHeaderName = options.authorizationHeaderName || "Authorization";
 		const prefix =
@@ -490,10 +1196,154 @@ module.exports = {
 		params.signature = signature;
 
 		if (options.opaque) params.opaque = options.opaque;
-		if (options.headers) params.headers = options.headers.join(" ");
+		if (options.headers || options.body !== undefined)
+			params.headers = headers.join(" ");
 
 		request.setHeader(authzHeaderName, FormatAuthz(prefix, params));
 
 		return true;
 	},
+
+	/**
+	 * Adds an 'Authorization' header to an http.ClientRequest object, as
+	 * signRequest() does, but returning a Promise, so that the key can come
+	 * from somewhere asynchronous such as a KMS or a database:
+	 *
+	 *     await httpSignature.signRequestAsync(req, {
+	 *       keyId: keyId,
+	 *       keyProvider: function (keyId, req) { return loadKey(keyId); },
+	 *     });
+	 *
+	 * @param {Object} request an instance of http.ClientRequest.
+	 * @param {Object} options signing parameters object, as for
+	 *                   signRequest(), except that key may be a Promise of
+	 *                   the key, plus:
+	 *                   - {Function} keyProvider optional; instead of key,
+	 *                                called with the keyId and the request,
+	 *                                returning the key to sign with or a
+	 *                                Promise of it.
+	 * @return {Promise} resolving with true once the headers are added, and
+	 *                   rejecting with any error signRequest() would throw.
+	 */
+	signRequestAsync: function signRequestAsync(request, options) {
+		return new Promise(function (resolve) {
+			assert.object(options, "options");
+			assert.optionalFunc(options.keyProvider, "options.keyProvider");
+			if (options.keyProvider !== undefined)
+				resolve(options.keyProvider(options.keyId, request));
+			else resolve(options.key);
+		}).then(function (key) {
+			const opts = Object.assign({}, options, { key: key });
+			return module.exports.signRequest(request, opts);
+		});
+	},
+
+	/**
+	 * Signs a request for the WHATWG fetch API, taking the request target from
+	 * its URL.
+	 *
+	 * This takes the same options as signRequest(). The body to digest may be
+	 * given as options.body, or as the body of a plain request object when it
+	 * is a string or Buffer; a Request's body is a stream, so it has to be
+	 * passed in options.
+	 *
+	 *     const headers = httpSignature.signFetchRequest(
+	 *       { url: url, method: "POST", headers: { ... }, body: body },
+	 *       options,
+	 *     );
+	 *     fetch(url, { method: "POST", headers: headers, body: body });
+	 *
+	 * @param {Object} request a fetch Request, or an object with a url and
+	 *                 optional method (default 'GET'), headers (a Headers, a
+	 *                 plain object or an array of pairs) and body.
+	 * @param {Object} options signing parameters object, as for signRequest().
+	 * @return {Object} a new, signed Request when given a Request, and
+	 *                  otherwise the signed Headers to pass to fetch().
+	 * @throws {TypeError} on bad parameter types (input).
+	 * @throws {InvalidAlgorithmError} if algorithm was bad or incompatible with
+	 *                                 the given key.
+	 * @throws {sshpk.KeyParseError} if key was bad.
+	 * @throws {MissingHeaderError} if a header to be signed was specified but
+	 *                              was not present.
+	 */
+	signFetchRequest: function signFetchRequest(request, options) {
+		assert.object(request, "request");
+		assert.string(request.url, "request.url");
+		assert.optionalString(request.method, "request.method");
+		assert.object(options, "options");
+
+		const url = new URL(request.url);
+		const headers = new Headers(request.headers);
+		const opts = Object.assign({}, options);
+		if (
+			opts.body === undefined &&
+			(typeof request.body === "string" || Buffer.isBuffer(request.body))
+		)
+			opts.body = request.body;
+
+		let method = request.method || "GET";
+		if (FETCH_METHODS.indexOf(method.toUpperCase()) !== -1)
+			method = method.toUpperCase();
+
+		module.exports.signRequest(fetchRequest(url, method, headers), opts);
+
+		if (typeof Request === "function" && request instanceof Request)
+			return new Request(request, { headers: headers });
+		return headers;
+	},
+
+	/**
+	 * Adds a signature to an http.ServerResponse, before its headers are sent.
+	 *
+	 * This takes the same options as signRequest(). In RFC 9421 mode the
+	 * covered components default to ['@status', 'date'], and components of the
+	 * request being answered can be covered with the "req" parameter, such as
+	 * '@method;req' or 'digest;req'. In the default (cavage) mode, a Signature
+	 * header is added (unless authorizationHeaderName says otherwise), and
+	 * '(request-target)' refers to the request being answered.
+	 *
+	 * @param {Object} response an instance of http.ServerResponse.
+	 * @param {Object} options signing parameters object, as for signRequest(),
+	 *                   plus:
+	 *                   - {Object} request optional; the request being
+	 *                              answered, defaults to response.req.
+	 * @return {Boolean} true if the signature (and optionally Date and digest
+	 *                   headers) were added.
+	 * @throws {TypeError} on bad parameter types (input).
+	 * @throws {InvalidAlgorithmError} if algorithm was bad or incompatible with
+	 *                                 the given key.
+	 * @throws {sshpk.KeyParseError} if key was bad.
+	 * @throws {MissingHeaderError} if a header to be signed was specified but
+	 *                              was not present.
+	 */
+	signResponse: function signResponse(response, options) {
+		assert.object(response, "response");
+		assert.object(options, "options");
+		assert.optionalObject(options.request, "options.request");
+
+		const request = options.request || response.req;
+		if (options.format !== utils.FORMAT.RFC9421) {
+			const opts = Object.assign({}, options);
+			opts.authorizationHeaderName =
+				options.authorizationHeaderName || "Signature";
+			return module.exports.signRequest(
+				{
+					method: request ? request.method : undefined,
+					path: request ? adapter.requestTarget(request, options) : undefined,
+					getHeader: response.getHeader.bind(response),
+					setHeader: response.setHeader.bind(response),
+				},
+				opts,
+			);
+		}
+
+		const prepared = prepareSigning(response, options);
+		return signMessageResponse(
+			response,
+			options,
+			prepared.key,
+			prepared.alg,
+			prepared.digestHeader,
+		);
+	},
 };
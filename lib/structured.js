@@ -0,0 +1,457 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Structured Field Values for HTTP (RFC 8941).
+ *
+ * Parsed values use the following shapes:
+ *
+ *   - Item:       { value: <bare item>, params: Map }
+ *   - Inner List: { value: [Item, ...], params: Map }
+ *   - List:       [Item or Inner List, ...]
+ *   - Dictionary: Map of key => Item or Inner List
+ *
+ * Bare items are mapped to numbers (Integer), Decimals, strings, Tokens,
+ * Buffers (Byte Sequence) and booleans. When serializing, non-integral
+ * numbers are also accepted as Decimals.
+ */
+
+const assert = require("assert-plus");
+const util = require("util");
+const utils = require("./utils");
+
+const HttpSignatureError = utils.HttpSignatureError;
+
+///--- Globals
+
+const KEY_START = /^[a-z*]/;
+const KEY = /^[a-z*][a-z0-9_\-.*]*$/;
+const TOKEN = /^[A-Za-z*][!#$%&'*+\-.^_`|~0-9A-Za-z:/]*$/;
+const TCHAR = /[!#$%&'*+\-.^_`|~0-9A-Za-z:/]/;
+const BASE64 = /^[A-Za-z0-9+/]*=*$/;
+
+///--- Specific Errors
+
+function StructuredFieldError(message) {
+	HttpSignatureError.call(this, message, StructuredFieldError);
+}
+util.inherits(StructuredFieldError, HttpSignatureError);
+
+///--- Token
+
+function Token(value) {
+	assert.string(value, "value");
+	this.value = value;
+}
+
+Token.prototype.toString = function () {
+	return this.value;
+};
+
+///--- Decimal
+
+/* Keeps e.g. "1.0" a Decimal across a parse and serialize round trip. */
+function Decimal(value) {
+	assert.number(value, "value");
+	this.value = value;
+}
+
+Decimal.prototype.valueOf = function () {
+	return this.value;
+};
+
+Decimal.prototype.toString = function () {
+	return String(this.value);
+};
+
+///--- Parsing
+
+function Parser(input) {
+	this.input = input;
+	this.pos = 0;
+}
+
+Parser.prototype.peek = function () {
+	return this.input.charAt(this.pos);
+};
+
+Parser.prototype.eof = function () {
+	return this.pos >= this.input.length;
+};
+
+Parser.prototype.fail = function (what) {
+	throw new StructuredFieldError(`invalid ${what} at offset ${this.pos}`);
+};
+
+Parser.prototype.skipSP = function () {
+	while (this.input.charAt(this.pos) === " ") this.pos++;
+};
+
+Parser.prototype.skipOWS = function () {
+	let c = this.input.charAt(this.pos);
+	while (c === " " || c === "\t") {
+		this.pos++;
+		c = this.input.charAt(this.pos);
+	}
+};
+
+Parser.prototype.done = function () {
+	this.skipSP();
+	if (!this.eof()) this.fail("trailing characters");
+};
+
+Parser.prototype.key = function () {
+	if (!KEY_START.test(this.peek())) this.fail("key");
+	const start = this.pos;
+	while (!this.eof() && /[a-z0-9_\-.*]/.test(this.peek())) this.pos++;
+	return this.input.slice(start, this.pos);
+};
+
+Parser.prototype.params = function () {
+	const params = new Map();
+	while (this.peek() === ";") {
+		this.pos++;
+		this.skipSP();
+		const key = this.key();
+		let value = true;
+		if (this.peek() === "=") {
+			this.pos++;
+			value = this.bareItem();
+		}
+		params.set(key, value);
+	}
+	return params;
+};
+
+Parser.prototype.bareItem = function () {
+	const c = this.peek();
+	if (c === "-" || (c >= "0" && c <= "9")) return this.number();
+	if (c === '"') return this.string();
+	if (c === ":") return this.byteSequence();
+	if (c === "?") return this.boolean();
+	if (c === "*" || /[A-Za-z]/.test(c)) return this.token();
+	return this.fail("item");
+};
+
+Parser.prototype.number = function () {
+	let sign = 1;
+	if (this.peek() === "-") {
+		sign = -1;
+		this.pos++;
+	}
+	const start = this.pos;
+	let decimal = false;
+	if (!/[0-9]/.test(this.peek())) this.fail("number");
+	while (!this.eof()) {
+		const c = this.peek();
+		if (c >= "0" && c <= "9") {
+			this.pos++;
+		} else if (c === "." && !decimal) {
+			if (this.pos - start > 12) this.fail("decimal");
+			decimal = true;
+			this.pos++;
+		} else {
+			break;
+		}
+		if (!decimal && this.pos - start > 15) this.fail("integer");
+		if (decimal && this.pos - start > 16) this.fail("decimal");
+	}
+
+	const str = this.input.slice(start, this.pos);
+	if (!decimal) return sign * parseInt(str, 10);
+
+	const frac = str.length - str.indexOf(".") - 1;
+	if (frac < 1 || frac > 3) this.fail("decimal");
+	return new Decimal(sign * parseFloat(str));
+};
+
+Parser.prototype.string = function () {
+	this.pos++;
+	let str = "";
+	while (!this.eof()) {
+		let c = this.input.charAt(this.pos++);
+		if (c === "\\") {
+			c = this.input.charAt(this.pos++);
+			if (c !== '"' && c !== "\\") this.fail("string escape");
+			str += c;
+		} else if (c === '"') {
+			return str;
+		} else {
+			const code = c.charCodeAt(0);
+			if (code < 0x20 || code > 0x7e) this.fail("string character");
+			str += c;
+		}
+	}
+	return this.fail("string");
+};
+
+Parser.prototype.token = function () {
+	const start = this.pos;
+	this.pos++;
+	while (!this.eof() && TCHAR.test(this.peek())) this.pos++;
+	return new Token(this.input.slice(start, this.pos));
+};
+
+Parser.prototype.byteSequence = function () {
+	this.pos++;
+	const end = this.input.indexOf(":", this.pos);
+	if (end === -1) this.fail("byte sequence");
+	const b64 = this.input.slice(this.pos, end);
+	if (!BASE64.test(b64)) this.fail("byte sequence");
+	this.pos = end + 1;
+	return Buffer.from(b64, "base64");
+};
+
+Parser.prototype.boolean = function () {
+	this.pos++;
+	const c = this.input.charAt(this.pos++);
+	if (c === "1") return true;
+	if (c === "0") return false;
+	return this.fail("boolean");
+};
+
+Parser.prototype.item = function () {
+	const value = this.bareItem();
+	return { value: value, params: this.params() };
+};
+
+Parser.prototype.innerList = function () {
+	this.pos++;
+	const items = [];
+	while (!this.eof()) {
+		this.skipSP();
+		if (this.peek() === ")") {
+			this.pos++;
+			return { value: items, params: this.params() };
+		}
+		items.push(this.item());
+		const c = this.peek();
+		if (c !== " " && c !== ")") this.fail("inner list");
+	}
+	return this.fail("inner list");
+};
+
+Parser.prototype.member = function () {
+	return this.peek() === "(" ? this.innerList() : this.item();
+};
+
+/* Consumes the separator between list or dictionary members. */
+Parser.prototype.next = function () {
+	this.skipOWS();
+	if (this.eof()) return false;
+	if (this.peek() !== ",") this.fail("separator");
+	this.pos++;
+	this.skipOWS();
+	if (this.eof()) this.fail("trailing comma");
+	return true;
+};
+
+/* Multiple field lines are combined as described in RFC 9110, 5.3. */
+function parser(input) {
+	const str = Array.isArray(input) ? input.join(", ") : input;
+	assert.string(str, "input");
+	const p = new Parser(str);
+	p.skipSP();
+	return p;
+}
+
+/**
+ * Parses a field value holding a single Item.
+ *
+ * @param {String|Array} input the field value, or one string per field line.
+ * @return {Object} { value, params }.
+ * @throws {StructuredFieldError} if the value is not a valid Item.
+ */
+function parseItem(input) {
+	const p = parser(input);
+	const item = p.item();
+	p.done();
+	return item;
+}
+
+/**
+ * Parses a field value holding a List.
+ *
+ * @param {String|Array} input the field value, or one string per field line.
+ * @return {Array} Items and Inner Lists.
+ * @throws {StructuredFieldError} if the value is not a valid List.
+ */
+function parseList(input) {
+	const p = parser(input);
+	const list = [];
+	if (p.eof()) return list;
+	do {
+		list.push(p.member());
+	} while (p.next());
+	return list;
+}
+
+/**
+ * Parses a field value holding a Dictionary.
+ *
+ * @param {String|Array} input the field value, or one string per field line.
+ * @return {Map} member names to Items and Inner Lists.
+ * @throws {StructuredFieldError} if the value is not a valid Dictionary.
+ */
+function parseDictionary(input) {
+	const p = parser(input);
+	const dict = new Map();
+	if (p.eof()) return dict;
+	do {
+		const key = p.key();
+		if (p.peek() === "=") {
+			p.pos++;
+			dict.set(key, p.member());
+		} else {
+			dict.set(key, { value: true, params: p.params() });
+		}
+	} while (p.next());
+	return dict;
+}
+
+///--- Serialization
+
+function entries(params) {
+	if (params === undefined || params === null) return [];
+	if (params instanceof Map) return Array.from(params.entries());
+	assert.object(params, "params");
+	return Object.keys(params).map(function (k) {
+		return [k, params[k]];
+	});
+}
+
+function serializeKey(key) {
+	if (typeof key !== "string" || !KEY.test(key))
+		throw new StructuredFieldError(`invalid key: ${key}`);
+	return key;
+}
+
+function serializeDecimal(value) {
+	if (!Number.isFinite(value) || Math.abs(value) >= 1e12)
+		throw new StructuredFieldError(`decimal out of range: ${value}`);
+	const d = String(Math.round(value * 1000) / 1000);
+	return d.indexOf(".") === -1 ? `${d}.0` : d;
+}
+
+function serializeBareItem(value) {
+	if (value instanceof Token) {
+		if (!TOKEN.test(value.value))
+			throw new StructuredFieldError(`invalid token: ${value.value}`);
+		return value.value;
+	}
+	if (Buffer.isBuffer(value)) return `:${value.toString("base64")}:`;
+	if (value instanceof Decimal) return serializeDecimal(value.value);
+
+	switch (typeof value) {
+		case "boolean":
+			return value ? "?1" : "?0";
+		case "number":
+			if (Number.isInteger(value)) {
+				if (Math.abs(value) > 999999999999999)
+					throw new StructuredFieldError(`integer out of range: ${value}`);
+				return String(value);
+			}
+			return serializeDecimal(value);
+		case "string":
+			if (!/^[\x20-\x7e]*$/.test(value))
+				throw new StructuredFieldError("string contains invalid characters");
+			return `"${value.replace(/[\\"]/g, "\\$&")}"`;
+		default:
+			throw new StructuredFieldError(`cannot serialize ${typeof value}`);
+	}
+}
+
+function serializeParams(params) {
+	return entries(params)
+		.map(function (e) {
+			const key = serializeKey(e[0]);
+			return e[1] === true ? `;${key}` : `;${key}=${serializeBareItem(e[1])}`;
+		})
+		.join("");
+}
+
+/* Items may be given bare, without parameters. */
+function normalize(member) {
+	if (
+		member !== null &&
+		typeof member === "object" &&
+		!Buffer.isBuffer(member) &&
+		!(member instanceof Token) &&
+		!(member instanceof Decimal)
+	)
+		return member;
+	return { value: member, params: undefined };
+}
+
+/**
+ * Serializes an Item. Bare values (strings, numbers, booleans, Tokens and
+ * Buffers) may be given in place of { value, params }, and parameters may be
+ * a Map or a plain object.
+ *
+ * @param {Object} member the Item.
+ * @return {String} the field value.
+ * @throws {StructuredFieldError} if the Item cannot be serialized.
+ */
+function serializeItem(member) {
+	const item = normalize(member);
+	return serializeBareItem(item.value) + serializeParams(item.params);
+}
+
+function serializeInnerList(list) {
+	return `(${list.value.map(serializeItem).join(" ")})${serializeParams(
+		list.params,
+	)}`;
+}
+
+function serializeMember(member) {
+	const m = normalize(member);
+	return Array.isArray(m.value) ? serializeInnerList(m) : serializeItem(m);
+}
+
+/**
+ * Serializes a List of Items and Inner Lists ({ value: [...], params }).
+ *
+ * @param {Array} list the members.
+ * @return {String} the field value.
+ * @throws {StructuredFieldError} if a member cannot be serialized.
+ */
+function serializeList(list) {
+	assert.array(list, "list");
+	return list.map(serializeMember).join(", ");
+}
+
+/**
+ * Serializes a Dictionary given as a Map or a plain object. Members whose
+ * value is true are written as bare keys.
+ *
+ * @param {Map|Object} dict the members.
+ * @return {String} the field value.
+ * @throws {StructuredFieldError} if a member cannot be serialized.
+ */
+function serializeDictionary(dict) {
+	return entries(dict)
+		.map(function (e) {
+			const key = serializeKey(e[0]);
+			const member = normalize(e[1]);
+			if (member.value === true) return key + serializeParams(member.params);
+			return `${key}=${serializeMember(member)}`;
+		})
+		.join(", ");
+}
+
+///--- Exported API
+
+module.exports = {
+	Token: Token,
+	Decimal: Decimal,
+	StructuredFieldError: StructuredFieldError,
+
+	parseItem: parseItem,
+	parseList: parseList,
+	parseDictionary: parseDictionary,
+
+	serializeItem: serializeItem,
+	serializeInnerList: serializeInnerList,
+	serializeParams: serializeParams,
+	serializeList: serializeList,
+	serializeDictionary: serializeDictionary,
+};
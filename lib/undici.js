@@ -0,0 +1,230 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Signing for undici: an interceptor that signs each request a Dispatcher
+ * sends, so that fetch(url, { dispatcher }) and undici.request() calls need
+ * no signing code of their own.
+ */
+
+const assert = require("assert-plus");
+const signer = require("./signer");
+
+///--- Globals
+
+/* Options of the interceptor itself, as opposed to signing options. */
+const INTERCEPTOR_OPTIONS = ["keys", "digest", "host"];
+
+///--- Helpers
+
+/*
+ * Copies the headers of a dispatch, which undici takes as an object or a
+ * flat array of names and values, into an object of lowercase names.
+ */
+function headersOf(headers) {
+	const fields = {};
+	if (headers === null || headers === undefined) return fields;
+
+	if (Array.isArray(headers)) {
+		for (let i = 0; i < headers.length; i += 2)
+			fields[String(headers[i]).toLowerCase()] = headers[i + 1];
+		return fields;
+	}
+	Object.keys(headers).forEach(function (name) {
+		if (headers[name] !== undefined) fields[name.toLowerCase()] = headers[name];
+	});
+	return fields;
+}
+
+/*
+ * Reads the body of a dispatch into a Buffer for a digest. fetch() hands
+ * undici even a string body as an async iterable.
+ */
+function bufferBody(body) {
+	if (body === null || body === undefined) return Promise.resolve(undefined);
+	if (typeof body === "string" || Buffer.isBuffer(body))
+		return Promise.resolve(body);
+	if (body instanceof Uint8Array)
+		return Promise.resolve(
+			Buffer.from(body.buffer, body.byteOffset, body.byteLength),
+		);
+	if (typeof body[Symbol.asyncIterator] !== "function")
+		return Promise.reject(
+			new TypeError("the request body cannot be read for a digest"),
+		);
+
+	return new Promise(function (resolve, reject) {
+		const chunks = [];
+		const iterator = body[Symbol.asyncIterator]();
+		function next() {
+			iterator.next().then(function (result) {
+				if (result.done) {
+					resolve(Buffer.concat(chunks));
+					return;
+				}
+				chunks.push(Buffer.from(result.value));
+				next();
+			}, reject);
+		}
+		next();
+	});
+}
+
+/*
+ * Wraps the headers of a dispatch in the parts of the http.ClientRequest
+ * interface that signRequest() uses. undici sends a Host header for the
+ * origin itself, so that is what a signed host is.
+ */
+function dispatchRequest(url, opts, headers) {
+	return {
+		method: opts.method,
+		path: opts.path,
+		protocol: url.protocol,
+		getHeader: function (name) {
+			const value = headers[name.toLowerCase()];
+			if (value === undefined && name.toLowerCase() === "host") return url.host;
+			return Array.isArray(value) ? value.join(", ") : value;
+		},
+		setHeader: function (name, value) {
+			headers[name.toLowerCase()] = value;
+		},
+	};
+}
+
+/*
+ * Works out the signing options for an origin: the interceptor's own, with
+ * those for the origin from options.keys on top. Returns undefined when the
+ * origin's requests are not to be signed.
+ */
+function signingOptions(options, origin) {
+	const keys = options.keys;
+	let forOrigin;
+	if (typeof keys === "function") forOrigin = keys(origin);
+	else if (keys !== undefined) forOrigin = keys[origin];
+
+	if (keys !== undefined && (forOrigin === undefined || forOrigin === null))
+		return undefined;
+
+	const signing = {};
+	Object.keys(options).forEach(function (name) {
+		if (INTERCEPTOR_OPTIONS.indexOf(name) === -1) signing[name] = options[name];
+	});
+	return Object.assign(signing, forOrigin);
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Creates an undici interceptor that signs every request dispatched
+	 * through it, as signRequest() would:
+	 *
+	 *     const dispatcher = new undici.Agent().compose(
+	 *       httpSignature.createSigningInterceptor(options),
+	 *     );
+	 *     fetch(url, { dispatcher: dispatcher });
+	 *
+	 * The keyId and key may be given per origin with options.keys, either an
+	 * object of signing options by origin (such as 'https://example.com') or
+	 * a function taking the origin and returning them. Requests to origins
+	 * that it has nothing for are sent unsigned.
+	 *
+	 * @param {Object} options signing parameters object, as for
+	 *                   signRequest(), except that body is not taken, plus:
+	 *                   - {Object|Function} keys optional; signing options
+	 *                                       for each origin.
+	 *                   - {Boolean} digest optional; add a digest of the body
+	 *                               (default false). digestHeader chooses the
+	 *                               header, as for signRequest(). Bodies that
+	 *                               are streams are read into memory first.
+	 *                   - {Boolean} host optional; send an explicit Host
+	 *                               header (default false).
+	 * @return {Function} the interceptor, for Dispatcher.compose().
+	 * @throws {TypeError} on bad input.
+	 */
+	createSigningInterceptor: function createSigningInterceptor(options) {
+		assert.object(options, "options");
+		assert.optionalBool(options.digest, "options.digest");
+		assert.optionalBool(options.host, "options.host");
+		if (
+			options.keys !== undefined &&
+			typeof options.keys !== "function" &&
+			typeof options.keys !== "object"
+		)
+			throw new TypeError("options.keys must be an object or function");
+		if (options.body !== undefined)
+			throw new TypeError("options.body is taken from each request");
+		if (options.keys === undefined) {
+			assert.string(options.keyId, "options.keyId");
+			assert.ok(options.key, "options.key");
+		}
+
+		return function signingInterceptor(dispatch) {
+			return function signedDispatch(opts, handler) {
+				const url = new URL(opts.path, opts.origin);
+				let signing;
+				try {
+					signing = signingOptions(options, url.origin);
+				} catch (e) {
+					handler.onError(e);
+					return true;
+				}
+				if (signing === undefined) return dispatch(opts, handler);
+
+				function sign(body) {
+					const headers = headersOf(opts.headers);
+					if (options.host && headers.host === undefined)
+						headers.host = url.host;
+					if (body !== undefined) signing.body = body;
+
+					signer.signRequest(dispatchRequest(url, opts, headers), signing);
+					return Object.assign({}, opts, {
+						headers: headers,
+						body: body !== undefined ? body : opts.body,
+					});
+				}
+
+				if (!options.digest) {
+					let signed;
+					try {
+						signed = sign(undefined);
+					} catch (e) {
+						handler.onError(e);
+						return true;
+					}
+					return dispatch(signed, handler);
+				}
+
+				bufferBody(opts.body)
+					.then(sign)
+					.then(
+						function (signed) {
+							dispatch(signed, handler);
+						},
+						function (err) {
+							handler.onError(err);
+						},
+					);
+				return true;
+			};
+		};
+	},
+
+	/**
+	 * Wraps an undici Dispatcher (such as an Agent) so that it signs every
+	 * request; see createSigningInterceptor().
+	 *
+	 * @param {Object} dispatcher an undici Dispatcher.
+	 * @param {Object} options as for createSigningInterceptor().
+	 * @return {Object} the signing Dispatcher.
+	 * @throws {TypeError} on bad input.
+	 */
+	createSigningDispatcher: function createSigningDispatcher(
+		dispatcher,
+		options,
+	) {
+		assert.object(dispatcher, "dispatcher");
+		assert.func(dispatcher.compose, "dispatcher.compose");
+
+		return dispatcher.compose(module.exports.createSigningInterceptor(options));
+	},
+};
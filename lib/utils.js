@@ -7,6 +7,7 @@ const util = require("util");
 const HASH_ALGOS = {
 	sha1: true,
 	sha256: true,
+	sha384: true,
 	sha512: true,
 };
 
@@ -20,6 +21,28 @@ const PK_ALGOS = {
 const HEADER = {
 	AUTH: "authorization",
 	SIG: "signature",
+	SIG_INPUT: "signature-input",
+};
+
+const FORMAT = {
+	CAVAGE: "cavage",
+	RFC9421: "rfc9421",
+};
+
+/* The hash that ECDSA keys on each curve are signed with by default. */
+const CURVE_HASHES = {
+	nistp256: "sha256",
+	nistp384: "sha384",
+	nistp521: "sha512",
+};
+
+/* RFC 9421 "alg" parameter values and their equivalent algorithm names. */
+const RFC9421_ALGOS = {
+	"rsa-v1_5-sha256": "rsa-sha256",
+	"hmac-sha256": "hmac-sha256",
+	"ecdsa-p256-sha256": "ecdsa-sha256",
+	"ecdsa-p384-sha384": "ecdsa-sha384",
+	ed25519: "ed25519-sha512",
 };
 
 function HttpSignatureError(message, caller) {
@@ -40,17 +63,22 @@ util.inherits(InvalidAlgorithmError, HttpSignatureError);
  * @param algorithm {String} the algorithm of the signature
  * @param publicKeyType {String?} fallback algorithm (public key type) for
  *                                hs2019
+ * @param curve {String?} the curve of an ECDSA public key, whose default
+ *                        hash is used for hs2019
  * @returns {[string, string]}
  */
-function validateAlgorithm(algorithm, publicKeyType) {
+function validateAlgorithm(algorithm, publicKeyType, curve) {
 	assert.string(algorithm, "algorithm");
 	assert.optionalString(publicKeyType, "publicKeyType");
+	assert.optionalString(curve, "curve");
 
 	const alg = algorithm.toLowerCase().split("-");
 
 	if (alg[0] === "hs2019") {
 		if (publicKeyType === "ed25519") {
 			return validateAlgorithm("ed25519-sha512");
+		} else if (publicKeyType === "ecdsa" && CURVE_HASHES[curve]) {
+			return validateAlgorithm(`ecdsa-${CURVE_HASHES[curve]}`);
 		} else if (publicKeyType !== undefined) {
 			return validateAlgorithm(`${publicKeyType}-sha256`);
 		}
@@ -79,19 +107,65 @@ function validateAlgorithm(algorithm, publicKeyType) {
 	return alg;
 }
 
+/*
+ * RFC 9421 ECDSA signatures are the raw concatenation of r and s, while
+ * OpenSSL wants them wrapped in a DER SEQUENCE of two INTEGERs.
+ */
+function derInteger(buf) {
+	let i = 0;
+	while (i < buf.length - 1 && buf[i] === 0) i++;
+	let n = buf.slice(i);
+	if (n[0] & 0x80) n = Buffer.concat([Buffer.from([0]), n]);
+	return Buffer.concat([Buffer.from([0x02, n.length]), n]);
+}
+
+function ecdsaRawToDER(raw) {
+	assert.buffer(raw, "raw");
+	const half = raw.length / 2;
+	const body = Buffer.concat([
+		derInteger(raw.slice(0, half)),
+		derInteger(raw.slice(half)),
+	]);
+	const len =
+		body.length < 0x80
+			? Buffer.from([body.length])
+			: Buffer.from([0x81, body.length]);
+	return Buffer.concat([Buffer.from([0x30]), len, body]);
+}
+
+function ecdsaDERToRaw(der, size) {
+	assert.buffer(der, "der");
+	assert.number(size, "size");
+	let pos = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+	const parts = [];
+	for (let i = 0; i < 2; i++) {
+		const len = der[pos + 1];
+		let n = der.slice(pos + 2, pos + 2 + len);
+		while (n.length > size && n[0] === 0) n = n.slice(1);
+		parts.push(Buffer.concat([Buffer.alloc(size - n.length), n]));
+		pos += 2 + len;
+	}
+	return Buffer.concat(parts);
+}
+
 ///--- API
 
 module.exports = {
 	HEADER: HEADER,
+	FORMAT: FORMAT,
 
 	HASH_ALGOS: HASH_ALGOS,
 	PK_ALGOS: PK_ALGOS,
+	RFC9421_ALGOS: RFC9421_ALGOS,
 
 	HttpSignatureError: HttpSignatureError,
 	InvalidAlgorithmError: InvalidAlgorithmError,
 
 	validateAlgorithm: validateAlgorithm,
 
+	ecdsaRawToDER: ecdsaRawToDER,
+	ecdsaDERToRaw: ecdsaDERToRaw,
+
 	/**
 	 * Converts an OpenSSH public key (rsa only) to a PKCS#8 PEM file.
 	 *
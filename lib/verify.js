@@ -3,6 +3,7 @@
 const assert = require("assert-plus");
 const crypto = require("crypto");
 const sshpk = require("sshpk");
+const backend = require("./backend");
 const utils = require("./utils");
 
 const HASH_ALGOS = utils.HASH_ALGOS;
@@ -11,31 +12,124 @@ const InvalidAlgorithmError = utils.InvalidAlgorithmError;
 const HttpSignatureError = utils.HttpSignatureError;
 const validateAlgorithm = utils.validateAlgorithm;
 
+/*
+ * Verifiers for the public keys most recently given to verifySignature() as
+ * strings or Buffers, by key text, so that each is parsed only once.
+ */
+const VERIFIERS = new Map();
+const MAX_VERIFIERS = 1000;
+
+///--- Verifier
+
+/* See createVerifier() */
+function Verifier(pubkey, options) {
+	assert.optionalObject(options, "options");
+	const opts = options || {};
+	const key = backend.publicKey(pubkey, opts.backend);
+	assert.ok(
+		backend.isNativeKey(key) || sshpk.Key.isKey(key, [1, 1]),
+		"pubkey must be a sshpk.Key",
+	);
+	this.vf_key = key;
+}
+
+/**
+ * Verifies a signature against the key, just as verifySignature() would.
+ *
+ * @param {Object} parsedSignature the object you got from `parse`.
+ * @return {Boolean} true if valid, false otherwise.
+ * @throws {TypeError} if you pass in bad arguments.
+ * @throws {InvalidAlgorithmError}
+ */
+Verifier.prototype.verify = function (parsedSignature) {
+	assert.object(parsedSignature, "parsedSignature");
+	const pubkey = this.vf_key;
+
+	const alg = validateAlgorithm(
+		parsedSignature.algorithm,
+		pubkey.type,
+		pubkey.curve,
+	);
+	if (alg[0] === "hmac" || alg[0] !== pubkey.type) return false;
+
+	let signature = parsedSignature.params.signature;
+	if (
+		parsedSignature.format === utils.FORMAT.RFC9421 &&
+		pubkey.type === "ecdsa"
+	)
+		signature = utils
+			.ecdsaRawToDER(Buffer.from(signature, "base64"))
+			.toString("base64");
+
+	const v = pubkey.createVerify(alg[1]);
+	v.update(parsedSignature.signingString);
+	return v.verify(signature, "base64");
+};
+
+///--- Helpers
+
+/* Finds the cached Verifier for a key, making it the most recently used. */
+function cachedVerifier(pubkey) {
+	const text = typeof pubkey === "string" ? pubkey : pubkey.toString("binary");
+	const id = `${backend.backendOf(undefined)}:${text}`;
+	let verifier = VERIFIERS.get(id);
+	if (verifier === undefined) verifier = new Verifier(pubkey);
+	else VERIFIERS.delete(id);
+	VERIFIERS.set(id, verifier);
+	if (VERIFIERS.size > MAX_VERIFIERS)
+		VERIFIERS.delete(VERIFIERS.keys().next().value);
+	return verifier;
+}
+
 ///--- Exported API
 
 module.exports = {
+	/**
+	 * Creates a Verifier, which parses a public key once for any number of
+	 * signatures. Its verify(parsedSignature) method returns what
+	 * verifySignature(parsedSignature, pubkey) would:
+	 *
+	 *     const verifier = httpSignature.createVerifier(actor.publicKeyPem);
+	 *     if (!verifier.verify(httpSignature.parseRequest(req))) ...
+	 *
+	 * With the native backend the key is kept as a crypto.KeyObject, unless
+	 * it is a SSH-format or DSA key.
+	 *
+	 * @param {String|Buffer|KeyObject|sshpk.Key} pubkey the public key, as for
+	 *                                            verifySignature().
+	 * @param {Object} options optional; with:
+	 *                   - {String} backend optional; "native" or "sshpk"
+	 *                              (default as set by setCryptoBackend()).
+	 * @return {Verifier}
+	 * @throws {TypeError} if you pass in bad arguments.
+	 * @throws {Error} if the key cannot be parsed.
+	 */
+	createVerifier: function createVerifier(pubkey, options) {
+		return new Verifier(pubkey, options);
+	},
+
 	/**
 	 * Verify RSA/DSA signature against public key.  You are expected to pass in
 	 * an object that was returned from `parse()`.
 	 *
+	 * RFC 9421 ECDSA signatures (raw r and s) are converted to DER here.
+	 *
+	 * Keys given as strings or Buffers are parsed once and cached for the
+	 * 1000 most recently used of them.
+	 *
 	 * @param {Object} parsedSignature the object you got from `parse`.
-	 * @param {String} pubkey RSA/DSA private key PEM.
+	 * @param {String} pubkey RSA/DSA private key PEM, a crypto.KeyObject, a
+	 *                 sshpk.Key or a Verifier from createVerifier().
 	 * @return {Boolean} true if valid, false otherwise.
 	 * @throws {TypeError} if you pass in bad arguments.
 	 * @throws {InvalidAlgorithmError}
 	 */
 	verifySignature: function verifySignature(parsedSignature, pubkey) {
 		assert.object(parsedSignature, "parsedSignature");
+		if (pubkey instanceof Verifier) return pubkey.verify(parsedSignature);
 		if (typeof pubkey === "string" || Buffer.isBuffer(pubkey))
-			pubkey = sshpk.parseKey(pubkey);
-		assert.ok(sshpk.Key.isKey(pubkey, [1, 1]), "pubkey must be a sshpk.Key");
-
-		const alg = validateAlgorithm(parsedSignature.algorithm, pubkey.type);
-		if (alg[0] === "hmac" || alg[0] !== pubkey.type) return false;
-
-		const v = pubkey.createVerify(alg[1]);
-		v.update(parsedSignature.signingString);
-		return v.verify(parsedSignature.params.signature, "base64");
+			return cachedVerifier(pubkey).verify(parsedSignature);
+		return new Verifier(pubkey).verify(parsedSignature);
 	},
 
 	/**
@@ -52,7 +146,10 @@ module.exports = {
 		assert.object(parsedSignature, "parsedHMAC");
 		assert(typeof secret === "string" || Buffer.isBuffer(secret));
 
-		const alg = validateAlgorithm(parsedSignature.algorithm);
+		let alg = validateAlgorithm(parsedSignature.algorithm);
+		/* RFC 9421 signatures without an alg param use hmac-sha256. */
+		if (parsedSignature.format === utils.FORMAT.RFC9421 && alg[0] === "hs2019")
+			alg = ["hmac", "sha256"];
 		if (alg[0] !== "hmac") return false;
 
 		const hashAlg = alg[1].toUpperCase();
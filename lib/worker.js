@@ -0,0 +1,35 @@
+// Copyright 2026 Firefish.
+
+/*
+ * A worker thread of a verification pool (see pool.js): verifies each
+ * signature it is sent with verifySignature(), and posts back the result or
+ * the name and message of what was thrown.
+ */
+
+const workerThreads = require("worker_threads");
+const backend = require("./backend");
+const verify = require("./verify");
+
+const parentPort = workerThreads.parentPort;
+
+if (workerThreads.workerData.backend !== undefined)
+	backend.setCryptoBackend(workerThreads.workerData.backend);
+
+parentPort.on("message", function (task) {
+	let key = task.key;
+	/* Buffers arrive as plain Uint8Arrays. */
+	if (key instanceof Uint8Array && !Buffer.isBuffer(key))
+		key = Buffer.from(key.buffer, key.byteOffset, key.byteLength);
+
+	let result;
+	try {
+		result = verify.verifySignature(task.parsed, key);
+	} catch (e) {
+		parentPort.postMessage({
+			id: task.id,
+			error: { name: e.name, message: e.message },
+		});
+		return;
+	}
+	parentPort.postMessage({ id: task.id, result: result });
+});
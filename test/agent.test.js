@@ -0,0 +1,193 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+let server = null;
+let port = null;
+
+/* Makes a request with an agent, resolving with the server's findings. */
+function send(agent, options, body) {
+	return new Promise(function (resolve, reject) {
+		const req = http.request(
+			Object.assign(
+				{
+					host: "127.0.0.1",
+					port: port,
+					path: "/inbox?page=2",
+					method: body !== undefined ? "POST" : "GET",
+					agent: agent,
+				},
+				options,
+			),
+			function (res) {
+				let data = "";
+				res.setEncoding("utf8");
+				res.on("data", function (chunk) {
+					data += chunk;
+				});
+				res.on("end", function () {
+					resolve(JSON.parse(data));
+				});
+			},
+		);
+		req.on("error", reject);
+		/* Set after the request is made, but before it is sent. */
+		req.setHeader("x-late", "yes");
+		if (body !== undefined) {
+			req.write(body.slice(0, 4));
+			req.end(body.slice(4));
+		} else {
+			req.end();
+		}
+	});
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	server = http.createServer(function (req, res) {
+		const chunks = [];
+		req.on("data", function (chunk) {
+			chunks.push(chunk);
+		});
+		req.on("end", function () {
+			const result = { signed: false };
+			try {
+				const parsed = httpSignature.parseRequest(req);
+				result.signed = true;
+				result.keyId = parsed.keyId;
+				result.headers = parsed.params.headers;
+				result.verified = httpSignature.verifySignature(parsed, rsaPublic);
+				if (req.headers.digest !== undefined)
+					result.digest = httpSignature.verifyDigest(
+						parsed,
+						Buffer.concat(chunks),
+					);
+			} catch (e) {
+				result.error = e.name;
+			}
+			res.setHeader("Content-Type", "application/json");
+			res.end(JSON.stringify(result));
+		});
+	});
+	server.listen(0, "127.0.0.1", function () {
+		port = server.address().port;
+		t.end();
+	});
+});
+
+test("signs each request", function (t) {
+	const agent = httpSignature.createSigningAgent({
+		keyId: "test-key",
+		key: rsaPrivate,
+		headers: ["(request-target)", "host", "date", "x-late"],
+		agent: { keepAlive: true },
+	});
+	t.ok(agent instanceof http.Agent);
+
+	send(agent, {})
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				keyId: "test-key",
+				headers: ["(request-target)", "host", "date", "x-late"],
+				verified: true,
+			});
+			return send(agent, {});
+		})
+		.then(function (result) {
+			t.equal(result.verified, true);
+			agent.destroy();
+			t.end();
+		});
+});
+
+test("keys per host, headers per request and digests", function (t) {
+	const agent = httpSignature.createSigningAgent({
+		keys: {
+			[`127.0.0.1:${port}`]: { keyId: "local", key: rsaPrivate },
+		},
+		headers: function (req) {
+			return req.method === "POST"
+				? ["(request-target)", "date"]
+				: ["(request-target)", "host", "date"];
+		},
+		digest: true,
+	});
+	const body = '{"hello": "world"}';
+
+	send(agent, {}, body)
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				keyId: "local",
+				headers: ["(request-target)", "date", "digest"],
+				verified: true,
+				digest: true,
+			});
+			return send(agent, {});
+		})
+		.then(function (result) {
+			t.same(result.headers, ["(request-target)", "host", "date"]);
+			t.equal(result.verified, true);
+			return send(agent, { host: "localhost" });
+		})
+		.then(function (result) {
+			t.equal(result.signed, false);
+			agent.destroy();
+			t.end();
+		});
+});
+
+test("signing errors", function (t) {
+	const agent = httpSignature.createSigningAgent({
+		keyId: "test-key",
+		key: rsaPrivate,
+		headers: ["date", "x-missing"],
+	});
+	send(agent, {}).then(
+		function () {
+			t.fail("request sent");
+		},
+		function (err) {
+			t.equal(err.name, "MissingHeaderError");
+			agent.destroy();
+			t.end();
+		},
+	);
+});
+
+test("https agent and bad options", function (t) {
+	const agent = httpSignature.createSigningAgent({
+		keyId: "test-key",
+		key: rsaPrivate,
+		https: true,
+	});
+	t.ok(agent instanceof https.Agent);
+	t.throws(function () {
+		httpSignature.createSigningAgent({ key: rsaPrivate });
+	}, /options.keyId/);
+	t.throws(function () {
+		httpSignature.createSigningAgent({ keys: {}, headers: "date" });
+	}, /options.headers/);
+	t.end();
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		t.end();
+	});
+});
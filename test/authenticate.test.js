@@ -0,0 +1,240 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+
+/* Signs a request, returning what a server would see of it. */
+function signed(options, body) {
+	const headers = { host: "example.com" };
+	const req = {
+		method: "POST",
+		path: "/inbox",
+		getHeader: function (name) {
+			return headers[name.toLowerCase()];
+		},
+		setHeader: function (name, value) {
+			headers[name.toLowerCase()] = value;
+		},
+	};
+	httpSignature.signRequest(req, Object.assign({ body: body }, options));
+	if (body !== undefined) headers["content-length"] = String(body.length);
+	return {
+		method: req.method,
+		url: req.path,
+		originalUrl: req.path,
+		httpVersion: "1.1",
+		headers: headers,
+	};
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+	t.ok(rsaPrivate);
+	t.ok(rsaPublic);
+	t.end();
+});
+
+test("authenticate", function (t) {
+	const auth = httpSignature.createAuthenticator({
+		keyResolver: function (keyId) {
+			return keyId === "k" ? rsaPublic : undefined;
+		},
+	});
+	const body = '{"hello": "world"}';
+
+	auth
+		.authenticate(signed({ keyId: "k", key: rsaPrivate }, body), function () {
+			return body;
+		})
+		.then(function (credentials) {
+			t.equal(credentials.keyId, "k");
+			t.equal(credentials.key, rsaPublic);
+			t.equal(credentials.signature.params.algorithm, "rsa-sha256");
+
+			return auth.authenticate(
+				signed({ keyId: "k", key: rsaPrivate }, body),
+				function () {
+					return "{}";
+				},
+			);
+		})
+		.then(
+			function () {
+				t.fail("tampered body accepted");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidDigestError");
+				return auth.authenticate(signed({ keyId: "j", key: rsaPrivate }));
+			},
+		)
+		.then(
+			function () {
+				t.fail("unknown key accepted");
+			},
+			function (err) {
+				t.equal(err.name, "UnknownKeyError");
+				t.ok(err instanceof Error);
+				t.end();
+			},
+		);
+});
+
+test("signed digest without the body", function (t) {
+	const auth = httpSignature.createAuthenticator({
+		keyResolver: function () {
+			return rsaPublic;
+		},
+	});
+	const request = signed({ keyId: "k", key: rsaPrivate }, '{"hello": "world"}');
+
+	auth
+		.authenticate(request)
+		.then(
+			function () {
+				t.fail("unchecked digest accepted");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidDigestError");
+				t.equal(err.message, "digest cannot be checked without the body");
+				return auth.authenticate(request, null);
+			},
+		)
+		.then(function (credentials) {
+			t.equal(credentials.keyId, "k");
+			return auth.verifyBody(request, credentials.signature, function () {
+				return "{}";
+			});
+		})
+		.then(
+			function () {
+				t.fail("tampered body accepted");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidDigestError");
+				t.end();
+			},
+		);
+});
+
+test("authenticate hmac", function (t) {
+	const secret = "sooper secret";
+	const auth = httpSignature.createAuthenticator({
+		keyResolver: function () {
+			return Promise.resolve(secret);
+		},
+		hmac: true,
+	});
+
+	auth
+		.authenticate(
+			signed({
+				format: "rfc9421",
+				keyId: "k",
+				key: secret,
+				algorithm: "hmac-sha256",
+				hideAlgorithm: true,
+			}),
+		)
+		.then(function (credentials) {
+			t.equal(credentials.signature.algorithm, "HS2019");
+			return auth.authenticate(
+				signed({
+					format: "rfc9421",
+					keyId: "k",
+					key: rsaPrivate,
+					hideAlgorithm: true,
+				}),
+			);
+		})
+		.then(
+			function () {
+				t.fail("RSA signature accepted as an HMAC");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidSignatureError");
+				t.end();
+			},
+		);
+});
+
+test("HMACs made with a public key are refused", function (t) {
+	const auth = httpSignature.createAuthenticator({
+		keyResolver: function () {
+			return rsaPublic;
+		},
+	});
+
+	auth
+		.authenticate(
+			signed({ keyId: "k", key: rsaPublic, algorithm: "hmac-sha256" }),
+		)
+		.then(
+			function () {
+				t.fail("HMAC with the public key accepted");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidAlgorithmError");
+				return auth.authenticate(
+					signed({
+						format: "rfc9421",
+						keyId: "k",
+						key: rsaPublic,
+						algorithm: "hmac-sha256",
+					}),
+				);
+			},
+		)
+		.then(
+			function () {
+				t.fail("RFC 9421 HMAC with the public key accepted");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidAlgorithmError");
+				t.end();
+			},
+		);
+});
+
+test("challenge", function (t) {
+	const keyResolver = function () {};
+	t.same(
+		httpSignature.createAuthenticator({ keyResolver: keyResolver }).challenge(),
+		{
+			"WWW-Authenticate": 'Signature headers="date"',
+			"Accept-Signature": 'sig1=("@method" "@target-uri" "date")',
+		},
+	);
+	t.same(
+		httpSignature
+			.createAuthenticator({
+				keyResolver: keyResolver,
+				realm: 'say "hi"',
+				headers: ["(request-target)", "host", "date", "digest"],
+				components: ["@method", "@path", "content-digest;sf"],
+				label: "inbox",
+				tag: "app-123",
+			})
+			.challenge(),
+		{
+			"WWW-Authenticate":
+				'Signature realm="say \\"hi\\"",headers="(request-target) host date digest"',
+			"Accept-Signature":
+				'inbox=("@method" "@path" "content-digest";sf);tag="app-123"',
+		},
+	);
+	t.throws(function () {
+		httpSignature.createAuthenticator({});
+	}, /keyResolver/);
+	t.end();
+});
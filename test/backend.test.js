@@ -0,0 +1,184 @@
+// Copyright 2026 Firefish.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const sshpk = require("sshpk");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+const DATE = new Date().toUTCString();
+const BACKENDS = ["native", "sshpk"];
+
+const keys = {};
+
+/* Signs a GET with the given format and backend, and parses it back. */
+function signed(key, options) {
+	const headers = httpSignature.signFetchRequest(
+		{
+			url: "http://example.com/inbox?page=2",
+			headers: { Date: DATE },
+		},
+		Object.assign({ keyId: "test-key", key: key }, options),
+	);
+	const request = {
+		method: "GET",
+		url: "/inbox?page=2",
+		httpVersion: "1.1",
+		headers: { host: "example.com" },
+	};
+	headers.forEach(function (value, name) {
+		request.headers[name] = value;
+	});
+	return httpSignature.parseRequest(request);
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	["rsa", "dsa", "ecdsa"].forEach(function (type) {
+		keys[type] = {
+			private: fs.readFileSync(`${__dirname}/${type}_private.pem`, "ascii"),
+			public: fs.readFileSync(`${__dirname}/${type}_public.pem`, "ascii"),
+		};
+	});
+	const pair = crypto.generateKeyPairSync("ed25519", {
+		publicKeyEncoding: { type: "spki", format: "pem" },
+		privateKeyEncoding: { type: "pkcs8", format: "pem" },
+	});
+	keys.ed25519 = { private: pair.privateKey, public: pair.publicKey };
+	t.end();
+});
+
+test("backends make the same signatures", function (t) {
+	["rsa", "ed25519"].forEach(function (type) {
+		const signatures = BACKENDS.map(function (backend) {
+			return signed(keys[type].private, { backend: backend }).params.signature;
+		});
+		t.equal(signatures[0], signatures[1], type);
+	});
+	t.end();
+});
+
+test("backends verify each other's signatures", function (t) {
+	Object.keys(keys).forEach(function (type) {
+		/* DSA is not one of the RFC 9421 algorithms. */
+		const formats = type === "dsa" ? [undefined] : [undefined, "rfc9421"];
+		formats.forEach(function (format) {
+			BACKENDS.forEach(function (signing) {
+				const parsed = signed(keys[type].private, {
+					backend: signing,
+					format: format,
+				});
+				BACKENDS.forEach(function (verifying) {
+					const verifier = httpSignature.createVerifier(keys[type].public, {
+						backend: verifying,
+					});
+					t.equal(
+						verifier.verify(parsed),
+						true,
+						`${type} ${format || "cavage"} from ${signing} by ${verifying}`,
+					);
+				});
+			});
+		});
+	});
+	t.end();
+});
+
+test("SSH-format keys are read by sshpk", function (t) {
+	const privateKey = sshpk.parsePrivateKey(keys.rsa.private);
+	const sshPrivate = privateKey.toString("ssh-private");
+	const sshPublic = privateKey.toPublic().toString("ssh");
+
+	const parsed = signed(sshPrivate, { backend: "native" });
+	t.equal(
+		parsed.params.signature,
+		signed(keys.rsa.private, {}).params.signature,
+	);
+	t.equal(httpSignature.verifySignature(parsed, sshPublic), true);
+	t.equal(
+		httpSignature
+			.createVerifier(sshPublic, { backend: "native" })
+			.verify(parsed),
+		true,
+	);
+	t.end();
+});
+
+test("crypto.KeyObject keys", function (t) {
+	const parsed = signed(crypto.createPrivateKey(keys.rsa.private), {});
+	t.equal(
+		parsed.params.signature,
+		signed(keys.rsa.private, {}).params.signature,
+	);
+	BACKENDS.forEach(function (backend) {
+		t.equal(
+			httpSignature
+				.createVerifier(crypto.createPublicKey(keys.rsa.public), {
+					backend: backend,
+				})
+				.verify(parsed),
+			true,
+			backend,
+		);
+	});
+	t.end();
+});
+
+test("encrypted keys", function (t) {
+	const encrypted = fs.readFileSync(
+		`${__dirname}/rsa_private_encrypted.pem`,
+		"ascii",
+	);
+	BACKENDS.forEach(function (backend) {
+		const parsed = signed(encrypted, {
+			keyPassphrase: "123",
+			backend: backend,
+		});
+		t.equal(
+			httpSignature.verifySignature(
+				parsed,
+				fs.readFileSync(`${__dirname}/rsa_public_encrypted.pem`, "ascii"),
+			),
+			true,
+			backend,
+		);
+		t.throws(function () {
+			signed(encrypted, { backend: backend });
+		}, sshpk.KeyEncryptedError);
+	});
+	t.end();
+});
+
+test("setCryptoBackend", function (t) {
+	httpSignature.setCryptoBackend("sshpk");
+	try {
+		const parsed = signed(keys.ecdsa.private, { format: "rfc9421" });
+		t.equal(httpSignature.verifySignature(parsed, keys.ecdsa.public), true);
+	} finally {
+		httpSignature.setCryptoBackend("native");
+	}
+	t.end();
+});
+
+test("bad backends", function (t) {
+	t.throws(function () {
+		signed(keys.rsa.private, { backend: "openssl" });
+	}, /options.backend openssl is not supported/);
+	t.throws(function () {
+		httpSignature.createVerifier(keys.rsa.public, { backend: "openssl" });
+	}, /options.backend openssl is not supported/);
+	t.throws(function () {
+		httpSignature.setCryptoBackend("openssl");
+	}, /options.backend openssl is not supported/);
+	t.throws(function () {
+		httpSignature
+			.createSigningKey({ keyId: "k", key: keys.rsa.private })
+			.signRequest({ getHeader: function () {} }, { backend: "sshpk" });
+	}, /options.backend is fixed by the SigningKey/);
+	t.end();
+});
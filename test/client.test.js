@@ -0,0 +1,241 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const http = require("http");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+const servers = {};
+
+/*
+ * Starts a server that takes signatures in one format only, answering others
+ * with a challenge, and counts the requests it gets.
+ */
+function listen(format, challenge, cb) {
+	const state = { hits: 0, base: null };
+	state.server = http.createServer(function (req, res) {
+		state.hits++;
+		const chunks = [];
+		req.on("data", function (chunk) {
+			chunks.push(chunk);
+		});
+		req.on("end", function () {
+			let parsed;
+			try {
+				parsed = httpSignature.parseRequest(req);
+			} catch (e) {
+				parsed = undefined;
+			}
+			if (parsed === undefined || (parsed.format || "cavage") !== format) {
+				res.writeHead(401, challenge);
+				res.end("no");
+				return;
+			}
+
+			const body = Buffer.concat(chunks);
+			const result = {
+				format: format,
+				headers: parsed.params.headers,
+				verified: httpSignature.verifySignature(parsed, rsaPublic),
+			};
+			if (parsed.label !== undefined) result.label = parsed.label;
+			if (parsed.params.tag !== undefined) result.tag = parsed.params.tag;
+			if (req.headers.digest !== undefined)
+				result.digest = httpSignature.verifyDigest(parsed, body);
+			if (req.headers["content-digest"] !== undefined)
+				result.digest = httpSignature.verifyContentDigest(parsed, body);
+			res.setHeader("Content-Type", "application/json");
+			res.end(JSON.stringify(result));
+		});
+	});
+	state.server.listen(0, "127.0.0.1", function () {
+		state.base = `http://127.0.0.1:${state.server.address().port}`;
+		cb(state);
+	});
+}
+
+function options(extra) {
+	return Object.assign(
+		{
+			method: "POST",
+			headers: { "Content-Type": "application/activity+json" },
+			body: '{"type": "Create"}',
+			keyId: "test-key",
+			key: rsaPrivate,
+			digest: true,
+		},
+		extra,
+	);
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	listen(
+		"cavage",
+		{ "WWW-Authenticate": 'Signature headers="(request-target) date digest"' },
+		function (state) {
+			servers.cavage = state;
+			listen(
+				"rfc9421",
+				{
+					"Accept-Signature":
+						'sig2=("@method" "@target-uri" "content-digest");tag="app"',
+				},
+				function (other) {
+					servers.rfc9421 = other;
+					t.end();
+				},
+			);
+		},
+	);
+});
+
+test("signs with the preferred format", function (t) {
+	const formats = new Map();
+	httpSignature
+		.request(`${servers.cavage.base}/inbox`, options({ formats: formats }))
+		.then(function (res) {
+			t.equal(res.status, 200);
+			t.equal(servers.cavage.hits, 1);
+			t.same(formats.get(servers.cavage.base), "cavage");
+			return res.json();
+		})
+		.then(function (result) {
+			t.same(result, {
+				format: "cavage",
+				headers: ["(request-target)", "host", "date", "digest"],
+				verified: true,
+				digest: true,
+			});
+			t.end();
+		});
+});
+
+test("falls back to the other format, with its hints", function (t) {
+	const formats = new Map();
+	servers.rfc9421.hits = 0;
+	httpSignature
+		.request(`${servers.rfc9421.base}/inbox`, options({ formats: formats }))
+		.then(function (res) {
+			t.equal(res.status, 200);
+			t.equal(servers.rfc9421.hits, 2);
+			t.same(formats.get(servers.rfc9421.base), "rfc9421");
+			return res.json();
+		})
+		.then(function (result) {
+			t.same(result, {
+				format: "rfc9421",
+				label: "sig2",
+				tag: "app",
+				headers: ["@method", "@target-uri", "content-digest"],
+				verified: true,
+				digest: true,
+			});
+			return httpSignature.request(
+				`${servers.rfc9421.base}/inbox`,
+				options({ formats: formats }),
+			);
+		})
+		.then(function (res) {
+			t.equal(res.status, 200);
+			t.equal(servers.rfc9421.hits, 3, "remembered the format");
+			t.end();
+		});
+});
+
+test("falls back to cavage with the challenge's headers", function (t) {
+	const formats = new Map();
+	servers.cavage.hits = 0;
+	httpSignature
+		.request(
+			`${servers.cavage.base}/inbox`,
+			options({ formats: formats, format: "rfc9421" }),
+		)
+		.then(function (res) {
+			t.equal(servers.cavage.hits, 2);
+			t.same(formats.get(servers.cavage.base), "cavage");
+			return res.json();
+		})
+		.then(function (result) {
+			t.same(result.headers, ["(request-target)", "date", "digest"]);
+			t.equal(result.verified, true);
+			t.end();
+		});
+});
+
+test("switches from a format that stops working", function (t) {
+	const formats = new Map([[servers.cavage.base, "rfc9421"]]);
+	servers.cavage.hits = 0;
+	httpSignature
+		.request(`${servers.cavage.base}/inbox`, options({ formats: formats }))
+		.then(function (res) {
+			t.equal(res.status, 200);
+			t.equal(servers.cavage.hits, 2);
+			t.same(formats.get(servers.cavage.base), "cavage");
+			t.end();
+		});
+});
+
+test("signing errors reject the request", function (t) {
+	httpSignature
+		.request(`${servers.rfc9421.base}/inbox`, {
+			keyId: "test-key",
+			key: rsaPrivate,
+			formats: new Map(),
+			cavage: { headers: ["x-missing"] },
+		})
+		.then(
+			function () {
+				t.fail("request sent");
+			},
+			function (err) {
+				t.equal(err.name, "MissingHeaderError");
+				t.end();
+			},
+		);
+});
+
+test("refused twice", function (t) {
+	const formats = new Map([[servers.cavage.base, "cavage"]]);
+	const refuse = function () {
+		return Promise.resolve(new Response("no", { status: 401 }));
+	};
+	httpSignature
+		.request(
+			`${servers.cavage.base}/inbox`,
+			options({ formats: formats, fetch: refuse }),
+		)
+		.then(function (res) {
+			t.equal(res.status, 401);
+			t.notOk(formats.has(servers.cavage.base));
+			t.end();
+		});
+});
+
+test("bad options", function (t) {
+	t.throws(function () {
+		httpSignature.request("http://example.com", options({ format: "jws" }));
+	}, /options.format/);
+	t.throws(function () {
+		httpSignature.request("http://example.com", options({ body: {} }));
+	}, /options.body/);
+	t.end();
+});
+
+test("teardown", function (t) {
+	servers.cavage.server.close(function () {
+		servers.rfc9421.server.close(function () {
+			t.end();
+		});
+	});
+});
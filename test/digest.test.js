@@ -0,0 +1,514 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const stream = require("stream");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+const body = '{"hello": "world"}';
+const sha256 = "X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=";
+const sha512 =
+	"WZDPaVn/7XgHaAy8pmojAkGWoRx2UFChF41A2svX+TaPm+AbwAgBWnrIiYllu7BNNyealdVLvRwEmTHWXvJwew==";
+
+let rsaPrivate = null;
+let rsaPublic = null;
+
+function clientRequest() {
+	const headers = { host: "example.com" };
+	return {
+		method: "POST",
+		path: "/inbox",
+		headers: headers,
+		getHeader: function (name) {
+			return headers[name.toLowerCase()];
+		},
+		setHeader: function (name, value) {
+			headers[name.toLowerCase()] = value;
+		},
+	};
+}
+
+function received(req) {
+	return {
+		method: req.method,
+		url: req.path,
+		originalUrl: req.path,
+		httpVersion: "1.1",
+		headers: req.headers,
+	};
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+	t.ok(rsaPrivate);
+	t.ok(rsaPublic);
+	t.end();
+});
+
+test("createDigest", function (t) {
+	t.equal(httpSignature.createDigest(body), `SHA-256=${sha256}`);
+	t.equal(
+		httpSignature.createDigest(Buffer.from(body), ["sha-256", "SHA-512"]),
+		`SHA-256=${sha256}, SHA-512=${sha512}`,
+	);
+	t.throws(
+		function () {
+			httpSignature.createDigest(body, ["MD5"]);
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(function () {
+		httpSignature.createDigest(42);
+	});
+	t.end();
+});
+
+test("signRequest with body", function (t) {
+	const req = clientRequest();
+	t.ok(
+		httpSignature.signRequest(req, {
+			keyId: "k",
+			key: rsaPrivate,
+			headers: ["(request-target)", "host", "date"],
+			body: body,
+		}),
+	);
+	t.equal(req.headers.digest, `SHA-256=${sha256}`);
+	t.match(
+		req.headers.authorization,
+		/headers="\(request-target\) host date digest"/,
+	);
+
+	const parsed = httpSignature.parseRequest(received(req));
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	t.ok(httpSignature.verifyDigest(parsed, body));
+	t.ok(httpSignature.verifyDigest(parsed, Buffer.from(body)));
+	t.notOk(httpSignature.verifyDigest(parsed, '{"hello": "mallory"}'));
+	t.end();
+});
+
+test("signRequest with body and default headers", function (t) {
+	const req = clientRequest();
+	httpSignature.signRequest(req, {
+		keyId: "k",
+		key: rsaPrivate,
+		body: body,
+		digestAlgorithms: ["SHA-512"],
+	});
+	t.equal(req.headers.digest, `SHA-512=${sha512}`);
+	t.match(req.headers.authorization, /headers="date digest"/);
+
+	const parsed = httpSignature.parseRequest(received(req));
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	t.ok(httpSignature.verifyDigest(parsed, body));
+	t.end();
+});
+
+test("signRequest rfc9421 with body", function (t) {
+	const req = clientRequest();
+	httpSignature.signRequest(req, {
+		format: "rfc9421",
+		keyId: "k",
+		key: rsaPrivate,
+		body: body,
+	});
+	t.match(req.headers["signature-input"], /"date" "digest"\);/);
+
+	const parsed = httpSignature.parseRequest(received(req));
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	t.ok(httpSignature.verifyDigest(parsed, body));
+	t.notOk(httpSignature.verifyDigest(parsed, ""));
+	t.end();
+});
+
+test("createSigner writeDigestHeader", function (t) {
+	const signer = httpSignature.createSigner({ keyId: "k", key: rsaPrivate });
+	t.equal(signer.writeDigestHeader(body), `SHA-256=${sha256}`);
+	t.equal(
+		signer.writeDigestHeader(Buffer.from(body), ["SHA-512"]),
+		`SHA-512=${sha512}`,
+	);
+	t.end();
+});
+
+test("verifyDigest algorithms", function (t) {
+	function parsed(value) {
+		return { signingString: `date: now\ndigest: ${value}` };
+	}
+
+	t.ok(httpSignature.verifyDigest(parsed(`sha-256=${sha256}`), body));
+	t.ok(httpSignature.verifyDigest(parsed(`MD5=abc, SHA-256=${sha256}`), body));
+	t.notOk(
+		httpSignature.verifyDigest(
+			parsed(`SHA-256=${sha256},SHA-512=${sha256}`),
+			body,
+		),
+	);
+	t.notOk(httpSignature.verifyDigest(parsed("SHA-256=short"), body));
+	t.throws(
+		function () {
+			httpSignature.verifyDigest(parsed("MD5=abc, UNIXsum=123"), body);
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.verifyDigest(parsed("garbage"), body);
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.verifyDigest({ signingString: "date: now" }, body);
+		},
+		{ name: "MissingHeaderError", message: "digest was not a signed header" },
+	);
+	t.end();
+});
+
+test("createContentDigest", function (t) {
+	t.equal(httpSignature.createContentDigest(body), `sha-256=:${sha256}:`);
+	t.equal(
+		httpSignature.createContentDigest(Buffer.from(body), [
+			"SHA-512",
+			"sha-256",
+		]),
+		`sha-512=:${sha512}:, sha-256=:${sha256}:`,
+	);
+	t.equal(
+		httpSignature.createContentDigest(body, "sha-256=3, sha-512=10, md5=10"),
+		`sha-512=:${sha512}:`,
+	);
+	t.equal(
+		httpSignature.createContentDigest(body, "sha-512=0, sha-256=1"),
+		`sha-256=:${sha256}:`,
+	);
+	t.throws(
+		function () {
+			httpSignature.createContentDigest(body, ["md5"]);
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.createContentDigest(body, "sha-256=0, unixsum=5");
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.createContentDigest(body, "sha-256=(");
+		},
+		{ name: "InvalidHeaderError" },
+	);
+	t.end();
+});
+
+test("signRequest with content-digest", function (t) {
+	const req = clientRequest();
+	httpSignature.signRequest(req, {
+		keyId: "k",
+		key: rsaPrivate,
+		headers: ["(request-target)", "date"],
+		body: body,
+		digestHeader: "content-digest",
+		digestAlgorithms: ["sha-256", "sha-512"],
+	});
+	t.equal(req.headers.digest, undefined);
+	t.equal(
+		req.headers["content-digest"],
+		`sha-256=:${sha256}:, sha-512=:${sha512}:`,
+	);
+	t.match(
+		req.headers.authorization,
+		/headers="\(request-target\) date content-digest"/,
+	);
+
+	const parsed = httpSignature.parseRequest(received(req));
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	t.ok(httpSignature.verifyContentDigest(parsed, body));
+	t.notOk(httpSignature.verifyContentDigest(parsed, "{}"));
+	t.throws(
+		function () {
+			httpSignature.verifyDigest(parsed, body);
+		},
+		{ name: "MissingHeaderError" },
+	);
+
+	t.throws(function () {
+		httpSignature.signRequest(clientRequest(), {
+			keyId: "k",
+			key: rsaPrivate,
+			body: body,
+			digestHeader: "repr-digest",
+		});
+	}, /digestHeader/);
+	t.end();
+});
+
+test("signRequest rfc9421 with content-digest", function (t) {
+	const req = clientRequest();
+	httpSignature.signRequest(req, {
+		format: "rfc9421",
+		keyId: "k",
+		key: rsaPrivate,
+		headers: ["@method", "content-digest;sf"],
+		body: body,
+		digestHeader: "content-digest",
+		digestAlgorithms: "sha-512=5",
+	});
+	t.equal(req.headers["content-digest"], `sha-512=:${sha512}:`);
+	t.match(req.headers["signature-input"], /\("@method" "content-digest";sf\);/);
+
+	const parsed = httpSignature.parseRequest(received(req));
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	t.ok(httpSignature.verifyContentDigest(parsed, body));
+	t.notOk(httpSignature.verifyContentDigest(parsed, ""));
+	t.end();
+});
+
+test("createSigner writeContentDigestHeader", function (t) {
+	const signer = httpSignature.createSigner({ keyId: "k", key: rsaPrivate });
+	t.equal(signer.writeContentDigestHeader(body), `sha-256=:${sha256}:`);
+	t.end();
+});
+
+test("verifyContentDigest", function (t) {
+	function parsed(name, value) {
+		return {
+			format: "rfc9421",
+			signingString: `"@method": POST\n"${name}": ${value}`,
+		};
+	}
+	const both = parsed(
+		"content-digest",
+		`sha-256=:${sha256}:, sha-512=:${sha512}:`,
+	);
+
+	t.ok(httpSignature.verifyContentDigest(both, body));
+	t.ok(
+		httpSignature.verifyContentDigest(
+			parsed("content-digest", `md5=:AAAA:, sha-256=:${sha256}:`),
+			body,
+		),
+	);
+	t.notOk(
+		httpSignature.verifyContentDigest(
+			parsed("content-digest", `sha-256=:${sha256}:, sha-512=:${sha256}:`),
+			body,
+		),
+	);
+	t.ok(
+		httpSignature.verifyContentDigest(
+			parsed("repr-digest", `sha-256=:${sha256}:`),
+			body,
+			{ header: "Repr-Digest" },
+		),
+	);
+
+	/* Only the wanted algorithms are checked. */
+	const mixed = parsed(
+		"content-digest",
+		`sha-256=:${sha256}:, sha-512=:${sha256}:`,
+	);
+	t.ok(
+		httpSignature.verifyContentDigest(mixed, body, {
+			want: "sha-256=10, sha-512=0",
+		}),
+	);
+	t.notOk(
+		httpSignature.verifyContentDigest(mixed, body, { want: "sha-512=1" }),
+	);
+	t.throws(
+		function () {
+			httpSignature.verifyContentDigest(
+				parsed("content-digest", `sha-256=:${sha256}:`),
+				body,
+				{ want: "sha-512=1" },
+			);
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+
+	t.throws(
+		function () {
+			httpSignature.verifyContentDigest(
+				parsed("content-digest", "md5=:AAAA:"),
+				body,
+			);
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.verifyContentDigest(
+				parsed("content-digest", `SHA-256=${sha256}`),
+				body,
+			);
+		},
+		{ name: "InvalidHeaderError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.verifyContentDigest(
+				parsed("content-digest", "sha-256=42"),
+				body,
+			);
+		},
+		{ name: "InvalidHeaderError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.verifyContentDigest(both, body, { header: "repr-digest" });
+		},
+		{ name: "MissingHeaderError" },
+	);
+	t.throws(function () {
+		httpSignature.verifyContentDigest(both, body, { header: "digest" });
+	}, /options.header/);
+	t.end();
+});
+
+test("createDigestStream", function (t) {
+	const req = clientRequest();
+	httpSignature.signRequest(req, { keyId: "k", key: rsaPrivate, body: body });
+	const parsed = httpSignature.parseRequest(received(req));
+
+	const verifier = httpSignature.createDigestStream(parsed);
+	const chunks = [];
+	verifier.on("data", function (chunk) {
+		chunks.push(chunk);
+	});
+	stream.Readable.from([body.slice(0, 5), body.slice(5)]).pipe(verifier);
+	verifier.result.then(function (ok) {
+		t.ok(ok);
+		t.equal(Buffer.concat(chunks).toString(), body);
+		t.end();
+	});
+});
+
+test("createDigestStream mismatch", function (t) {
+	const parsed = {
+		format: "rfc9421",
+		signingString: `"content-digest": sha-256=:${sha256}:, sha-512=:${sha512}:`,
+	};
+	const verifier = httpSignature.createDigestStream(parsed, {
+		header: "content-digest",
+	});
+	verifier.resume();
+	verifier.end('{"hello": "mallory"}');
+	verifier.result.then(function (ok) {
+		t.notOk(ok);
+		t.end();
+	});
+});
+
+test("createDigestStream errors", function (t) {
+	t.throws(
+		function () {
+			httpSignature.createDigestStream({ signingString: "date: now" });
+		},
+		{ name: "MissingHeaderError" },
+	);
+	t.throws(
+		function () {
+			httpSignature.createDigestStream({ signingString: "digest: MD5=abc" });
+		},
+		{ name: "InvalidAlgorithmError" },
+	);
+	t.throws(function () {
+		httpSignature.createDigestStream(
+			{ signingString: "digest: MD5=abc" },
+			{ header: "authorization" },
+		);
+	}, /options.header/);
+
+	const verifier = httpSignature.createDigestStream({
+		signingString: `digest: SHA-256=${sha256}`,
+	});
+	verifier.on("error", function () {});
+	verifier.write(body);
+	verifier.destroy(new Error("client went away"));
+	verifier.result.then(
+		function () {
+			t.fail("should not resolve");
+			t.end();
+		},
+		function (err) {
+			t.equal(err.message, "client went away");
+			t.end();
+		},
+	);
+});
+
+test("createDigestTransformStream", function (t) {
+	const parsed = {
+		signingString: `date: now\ndigest: SHA-256=${sha256}, SHA-512=${sha512}`,
+	};
+	const good = httpSignature.createDigestTransformStream(parsed);
+	const bad = httpSignature.createDigestTransformStream(parsed);
+
+	new Response(new Response(body).body.pipeThrough(good))
+		.text()
+		.then(function (text) {
+			t.equal(text, body);
+			return good.result;
+		})
+		.then(function (ok) {
+			t.ok(ok);
+			return new Response(new Response("{}").body.pipeThrough(bad)).text();
+		})
+		.then(function () {
+			return bad.result;
+		})
+		.then(function (ok) {
+			t.notOk(ok);
+			t.end();
+		});
+});
+
+test("createDigestTransformStream errors", function (t) {
+	const parsed = { signingString: `digest: SHA-256=${sha256}` };
+	t.throws(
+		function () {
+			httpSignature.createDigestTransformStream({ signingString: "date: now" });
+		},
+		{ name: "MissingHeaderError" },
+	);
+
+	const aborted = httpSignature.createDigestTransformStream(parsed);
+	const writer = aborted.writable.getWriter();
+	writer.write(body).catch(function () {});
+	writer.abort(new Error("client went away"));
+	aborted.result
+		.then(
+			function () {
+				t.fail("should not resolve");
+			},
+			function (err) {
+				t.equal(err.message, "client went away");
+			},
+		)
+		.then(function () {
+			const cancelled = httpSignature.createDigestTransformStream(parsed);
+			cancelled.readable.cancel(new Error("reader went away"));
+			return cancelled.result;
+		})
+		.then(
+			function () {
+				t.fail("should not resolve");
+				t.end();
+			},
+			function (err) {
+				t.equal(err.message, "reader went away");
+				t.end();
+			},
+		);
+});
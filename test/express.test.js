@@ -0,0 +1,326 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const http = require("http");
+
+const express = require("express");
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+const helpers = require("./lib/helpers");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+let server = null;
+let port = null;
+const resolved = [];
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	const app = express();
+	const options = {
+		keyResolver: function (keyId, parsed, req) {
+			resolved.push([keyId, req.path]);
+			if (keyId === "broken") return Promise.reject(new Error("db down"));
+			return Promise.resolve(keyId === "test-key" ? rsaPublic : null);
+		},
+		headers: ["(request-target)", "date"],
+		realm: "example",
+	};
+
+	app.use("/raw", httpSignature.express(options));
+	app.post("/raw/inbox", function (req, res) {
+		res.json({ keyId: req.httpSignature.keyId, length: req.rawBody.length });
+	});
+	app.get("/raw/feed", function (req, res) {
+		res.json({
+			keyId: req.httpSignature.keyId,
+			format: req.httpSignature.signature.format || "cavage",
+		});
+	});
+
+	app.use("/then-json", httpSignature.express(options), express.json());
+	app.post("/then-json/inbox", function (req, res) {
+		res.json({ raw: Buffer.isBuffer(req.body), hello: req.body.hello });
+	});
+
+	app.use(
+		"/json",
+		express.json({ verify: httpSignature.captureRawBody }),
+		httpSignature.express(Object.assign({ digest: true }, options)),
+	);
+	app.post("/json/inbox", function (req, res) {
+		res.json({ hello: req.body.hello });
+	});
+
+	app.use(
+		"/parsed",
+		express.json(),
+		httpSignature.express(
+			Object.assign(
+				{
+					onFailure: function (err, req, res) {
+						res.status(418).send(err.name);
+					},
+				},
+				options,
+			),
+		),
+	);
+	app.post("/parsed/inbox", function (req, res) {
+		res.send("ok");
+	});
+
+	app.use(
+		"/private",
+		httpSignature.express(
+			Object.assign(
+				{
+					authorize: function (credentials) {
+						return credentials.keyId === "admin-key";
+					},
+				},
+				options,
+			),
+		),
+	);
+	app.get("/private/feed", function (req, res) {
+		res.send("ok");
+	});
+
+	app.use(function (err, req, res, next) {
+		res.status(500).send(err.message);
+	});
+
+	server = app.listen(0, "127.0.0.1", function () {
+		port = server.address().port;
+		t.end();
+	});
+});
+
+test("valid cavage signature", function (t) {
+	helpers
+		.send(port, "/raw/feed", {
+			sign: { headers: ["(request-target)", "date"] },
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { keyId: "test-key", format: "cavage" });
+			t.same(resolved.pop(), ["test-key", "/feed"]);
+			t.end();
+		});
+});
+
+test("valid rfc9421 signature", function (t) {
+	helpers
+		.send(port, "/raw/feed", {
+			sign: { format: "rfc9421", headers: ["@method", "@path", "date"] },
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { keyId: "test-key", format: "rfc9421" });
+			t.end();
+		});
+});
+
+test("unsigned request gets a challenge", function (t) {
+	helpers.send(port, "/raw/feed").then(function (r) {
+		t.equal(r.res.statusCode, 401);
+		t.equal(
+			r.res.headers["www-authenticate"],
+			'Signature realm="example",headers="(request-target) date"',
+		);
+		t.equal(
+			r.res.headers["accept-signature"],
+			'sig1=("@method" "@target-uri" "date")',
+		);
+		t.same(JSON.parse(r.body), {
+			code: "MissingHeaderError",
+			message: "no authorization or signature header present in the request",
+		});
+		t.end();
+	});
+});
+
+test("policy and key failures", function (t) {
+	helpers
+		.send(port, "/raw/feed", { sign: { headers: ["date"] } })
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(
+				JSON.parse(r.body).message,
+				"(request-target) was not a signed header",
+			);
+			return helpers.send(port, "/raw/feed", {
+				sign: { keyId: "other", headers: ["(request-target)", "date"] },
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(JSON.parse(r.body).code, "UnknownKeyError");
+			return helpers.send(port, "/raw/feed", {
+				sign: { keyId: "broken", headers: ["(request-target)", "date"] },
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 500);
+			t.equal(r.body, "db down");
+			t.end();
+		});
+});
+
+test("authentic but not authorized", function (t) {
+	helpers
+		.send(port, "/private/feed", {
+			sign: { headers: ["(request-target)", "date"] },
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 403);
+			t.equal(r.res.headers["www-authenticate"], undefined);
+			t.same(JSON.parse(r.body), {
+				code: "NotAuthorizedError",
+				message: "test-key is not allowed to make this request",
+			});
+			t.end();
+		});
+});
+
+test("tampered request", function (t) {
+	const req = http.request(
+		{
+			host: "127.0.0.1",
+			port: port,
+			path: "/raw/feed",
+			headers: { "x-user": "alice" },
+		},
+		function (res) {
+			res.resume();
+			t.equal(res.statusCode, 401);
+			t.end();
+		},
+	);
+	httpSignature.signRequest(req, {
+		keyId: "test-key",
+		key: rsaPrivate,
+		headers: ["(request-target)", "date", "x-user"],
+	});
+	req.setHeader("x-user", "mallory");
+	req.end();
+});
+
+test("digest read from the stream", function (t) {
+	const body = '{"hello": "world"}';
+	helpers
+		.send(port, "/raw/inbox", {
+			sign: { headers: ["(request-target)", "date"], body: body },
+			body: body,
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { keyId: "test-key", length: body.length });
+			return helpers.send(port, "/raw/inbox", {
+				sign: { headers: ["(request-target)", "date"], body: body },
+				body: body,
+				sentBody: '{"hello": "moon!"}',
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.same(JSON.parse(r.body), {
+				code: "InvalidDigestError",
+				message: "digest does not match the body",
+			});
+			t.end();
+		});
+});
+
+test("body parser mounted after the middleware", function (t) {
+	const body = '{"hello": "world"}';
+	const headers = { "content-type": "application/json" };
+	helpers
+		.send(port, "/then-json/inbox", {
+			sign: { headers: ["(request-target)", "date"], body: body },
+			headers: headers,
+			body: body,
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { raw: true });
+
+			/* Without a digest the body is left to the parser. */
+			return helpers.send(port, "/then-json/inbox", {
+				sign: { headers: ["(request-target)", "date"] },
+				headers: headers,
+				body: body,
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { raw: false, hello: "world" });
+			t.end();
+		});
+});
+
+test("digest captured by the body parser", function (t) {
+	const body = '{"hello": "world"}';
+	const headers = { "content-type": "application/json" };
+	helpers
+		.send(port, "/json/inbox", {
+			sign: {
+				format: "rfc9421",
+				headers: ["@method", "@path"],
+				body: body,
+				digestHeader: "content-digest",
+			},
+			headers: headers,
+			body: body,
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { hello: "world" });
+
+			/* Signed, but without a digest of the body. */
+			return helpers.send(port, "/json/inbox", {
+				sign: { headers: ["(request-target)", "date"] },
+				headers: headers,
+				body: body,
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(JSON.parse(r.body).code, "MissingHeaderError");
+			t.end();
+		});
+});
+
+test("body parsed without capture", function (t) {
+	const body = '{"hello": "world"}';
+	helpers
+		.send(port, "/parsed/inbox", {
+			sign: { headers: ["(request-target)", "date"], body: body },
+			headers: { "content-type": "application/json" },
+			body: body,
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 500);
+			t.match(r.body, /captureRawBody/);
+			return helpers.send(port, "/parsed/inbox", { body: body });
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 418);
+			t.equal(r.body, "MissingHeaderError");
+			t.end();
+		});
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		t.end();
+	});
+});
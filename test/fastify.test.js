@@ -0,0 +1,363 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+
+const Fastify = require("fastify");
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+const helpers = require("./lib/helpers");
+
+///--- Globals
+
+let rsaPublic = null;
+const resolved = [];
+
+function app(options) {
+	const fastify = Fastify();
+	fastify.register(
+		httpSignature.fastify,
+		Object.assign(
+			{
+				keyResolver: function (keyId, parsed, req) {
+					resolved.push([keyId, req.request.routeOptions.url]);
+					return keyId === "test-key" ? rsaPublic : null;
+				},
+				headers: ["(request-target)", "date"],
+				realm: "example",
+			},
+			options,
+		),
+	);
+	fastify.register(function (instance, opts, done) {
+		instance.get("/feed", function (request) {
+			return {
+				keyId: request.httpSignature.keyId,
+				format: request.httpSignature.signature.format || "cavage",
+			};
+		});
+		instance.post("/inbox", function (request) {
+			return { hello: request.body.hello, length: request.rawBody.length };
+		});
+		instance.post("/echo", function (request) {
+			return { hello: request.body.hello, kept: request.rawBody !== null };
+		});
+		instance.get(
+			"/public",
+			{ config: { httpSignature: false } },
+			function (request) {
+				return { signed: request.httpSignature !== null };
+			},
+		);
+		instance.get(
+			"/strict",
+			{ config: { httpSignature: { headers: ["(request-target)", "host"] } } },
+			function () {
+				return "ok";
+			},
+		);
+		instance.get(
+			"/manual",
+			{
+				config: { httpSignature: false },
+				onRequest: instance.verifyHttpSignature,
+			},
+			function (request) {
+				return request.httpSignature.keyId;
+			},
+		);
+		done();
+	});
+	return fastify;
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+	t.ok(rsaPublic);
+	t.end();
+});
+
+test("valid signatures", function (t) {
+	const fastify = app();
+	fastify
+		.inject({
+			method: "GET",
+			url: "/feed",
+			headers: helpers.signedHeaders("localhost:80", "GET", "/feed"),
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.json(), { keyId: "test-key", format: "cavage" });
+			t.same(resolved.pop(), ["test-key", "/feed"]);
+			return fastify.inject({
+				method: "GET",
+				url: "/feed",
+				headers: helpers.signedHeaders("localhost:80", "GET", "/feed", {
+					format: "rfc9421",
+					headers: ["@method", "@target-uri", "date"],
+				}),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.json(), { keyId: "test-key", format: "rfc9421" });
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("unsigned request gets a challenge", function (t) {
+	const fastify = app();
+	fastify
+		.inject({ method: "GET", url: "/feed" })
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(
+				res.headers["www-authenticate"],
+				'Signature realm="example",headers="(request-target) date"',
+			);
+			t.equal(
+				res.headers["accept-signature"],
+				'sig1=("@method" "@target-uri" "date")',
+			);
+			t.equal(
+				res.json().message,
+				"no authorization or signature header present in the request",
+			);
+			return fastify.inject({
+				method: "GET",
+				url: "/feed",
+				headers: helpers.signedHeaders("localhost:80", "GET", "/feed", {
+					keyId: "other",
+				}),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(res.json().message, "other is not a known key");
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("digest of the raw body", function (t) {
+	const fastify = app({ digest: true });
+	const body = '{"hello": "world"}';
+	fastify
+		.inject({
+			method: "POST",
+			url: "/inbox",
+			headers: helpers.signedHeaders(
+				"localhost:80",
+				"POST",
+				"/inbox",
+				{},
+				body,
+			),
+			payload: body,
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.json(), { hello: "world", length: body.length });
+			return fastify.inject({
+				method: "POST",
+				url: "/inbox",
+				headers: helpers.signedHeaders(
+					"localhost:80",
+					"POST",
+					"/inbox",
+					{},
+					body,
+				),
+				payload: '{"hello": "moon!"}',
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(res.json().message, "digest does not match the body");
+			return fastify.inject({
+				method: "POST",
+				url: "/inbox",
+				headers: Object.assign(
+					helpers.signedHeaders("localhost:80", "POST", "/inbox"),
+					{
+						"content-type": "application/json",
+					},
+				),
+				payload: body,
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(
+				res.json().message,
+				"the request has a body, but no signed digest of it",
+			);
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("bodies without a digest are not kept", function (t) {
+	const fastify = app();
+	const body = '{"hello": "world"}';
+	fastify
+		.inject({
+			method: "POST",
+			url: "/echo",
+			headers: Object.assign(
+				helpers.signedHeaders("localhost:80", "POST", "/echo"),
+				{ "content-type": "application/json" },
+			),
+			payload: body,
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.json(), { hello: "world", kept: false });
+			return fastify.inject({
+				method: "POST",
+				url: "/echo",
+				headers: helpers.signedHeaders(
+					"localhost:80",
+					"POST",
+					"/echo",
+					{},
+					body,
+				),
+				payload: body,
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.json(), { hello: "world", kept: true });
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("route config", function (t) {
+	const fastify = app();
+	fastify
+		.inject({ method: "GET", url: "/public" })
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.json(), { signed: false });
+			return fastify.inject({
+				method: "GET",
+				url: "/strict",
+				headers: helpers.signedHeaders("localhost:80", "GET", "/strict"),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(res.json().message, "host was not a signed header");
+			t.equal(
+				res.headers["www-authenticate"],
+				'Signature realm="example",headers="(request-target) host"',
+			);
+			return fastify.inject({
+				method: "GET",
+				url: "/strict",
+				headers: helpers.signedHeaders("localhost:80", "GET", "/strict", {
+					headers: ["(request-target)", "host"],
+				}),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			return fastify.inject({
+				method: "GET",
+				url: "/manual",
+				headers: helpers.signedHeaders("localhost:80", "GET", "/manual"),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.equal(res.body, "test-key");
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("not global", function (t) {
+	const fastify = Fastify();
+	fastify.register(httpSignature.fastify, {
+		keyResolver: function () {
+			return rsaPublic;
+		},
+		global: false,
+	});
+	fastify.get("/open", function () {
+		return "open";
+	});
+	fastify.get("/closed", { config: { httpSignature: true } }, function () {
+		return "closed";
+	});
+	fastify
+		.inject({ method: "GET", url: "/open" })
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			return fastify.inject({ method: "GET", url: "/closed" });
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("authorize", function (t) {
+	const fastify = app({
+		authorize: function (credentials, req) {
+			return req.url !== "/inbox";
+		},
+	});
+	const body = '{"hello": "world"}';
+	fastify
+		.inject({
+			method: "POST",
+			url: "/inbox",
+			headers: helpers.signedHeaders(
+				"localhost:80",
+				"POST",
+				"/inbox",
+				{},
+				body,
+			),
+			payload: body,
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 403);
+			t.equal(res.headers["www-authenticate"], undefined);
+			t.equal(
+				res.json().message,
+				"test-key is not allowed to make this request",
+			);
+			return fastify.inject({
+				method: "GET",
+				url: "/feed",
+				headers: helpers.signedHeaders("localhost:80", "GET", "/feed"),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			return fastify.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
@@ -0,0 +1,253 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const http = require("http");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+let server = null;
+let base = null;
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	server = http.createServer(function (req, res) {
+		const chunks = [];
+		req.on("data", function (chunk) {
+			chunks.push(chunk);
+		});
+		req.on("end", function () {
+			let result;
+			try {
+				const parsed = httpSignature.parseRequest(req, {
+					headers: ["date"],
+				});
+				result = {
+					verified: httpSignature.verifySignature(parsed, rsaPublic),
+					headers: parsed.params.headers,
+				};
+				if (req.headers["content-digest"] !== undefined)
+					result.digest = httpSignature.verifyContentDigest(
+						parsed,
+						Buffer.concat(chunks),
+					);
+				else if (req.headers.digest !== undefined)
+					result.digest = httpSignature.verifyDigest(
+						parsed,
+						Buffer.concat(chunks),
+					);
+			} catch (e) {
+				result = { error: e.name, message: e.message };
+			}
+			res.setHeader("Content-Type", "application/json");
+			res.end(JSON.stringify(result));
+		});
+	});
+	server.listen(0, "127.0.0.1", function () {
+		base = `http://127.0.0.1:${server.address().port}`;
+		t.end();
+	});
+});
+
+test("sign a plain request into headers", function (t) {
+	const body = '{"hello": "world"}';
+	const headers = httpSignature.signFetchRequest(
+		{
+			url: `${base}/inbox?page=2`,
+			method: "post",
+			headers: { "Content-Type": "application/json" },
+			body: body,
+		},
+		{
+			keyId: "test-key",
+			key: rsaPrivate,
+			headers: ["(request-target)", "host", "date", "content-type"],
+		},
+	);
+	t.ok(headers instanceof Headers);
+	t.ok(headers.get("date"));
+	t.match(headers.get("digest"), /^SHA-256=/);
+	t.match(headers.get("authorization"), /^Signature keyId="test-key"/);
+	t.equal(headers.get("host"), null);
+
+	fetch(`${base}/inbox?page=2`, {
+		method: "POST",
+		headers: headers,
+		body: body,
+	})
+		.then(function (res) {
+			return res.json();
+		})
+		.then(function (result) {
+			t.same(result, {
+				verified: true,
+				headers: ["(request-target)", "host", "date", "content-type", "digest"],
+				digest: true,
+			});
+			t.end();
+		});
+});
+
+test("sign a Request", function (t) {
+	const body = "hello";
+	const request = new Request(`${base}/upload`, {
+		method: "PUT",
+		headers: [["x-trace", "abc"]],
+		body: body,
+	});
+	const signed = httpSignature.signFetchRequest(request, {
+		keyId: "test-key",
+		key: rsaPrivate,
+		format: "rfc9421",
+		headers: ["@method", "@target-uri", "@authority", "date", "x-trace"],
+		body: body,
+		digestHeader: "content-digest",
+	});
+	t.ok(signed instanceof Request);
+	t.not(signed, request);
+	t.equal(signed.method, "PUT");
+	t.equal(signed.headers.get("x-trace"), "abc");
+	t.match(signed.headers.get("signature-input"), /^sig1=\("@method"/);
+
+	fetch(signed)
+		.then(function (res) {
+			return res.json();
+		})
+		.then(function (result) {
+			t.same(result, {
+				verified: true,
+				headers: [
+					"@method",
+					"@target-uri",
+					"@authority",
+					"date",
+					"x-trace",
+					"content-digest",
+				],
+				digest: true,
+			});
+			t.end();
+		});
+});
+
+test("tampered request", function (t) {
+	const headers = httpSignature.signFetchRequest(
+		{ url: `${base}/feed` },
+		{
+			keyId: "test-key",
+			key: rsaPrivate,
+			headers: ["(request-target)", "date"],
+		},
+	);
+	fetch(`${base}/other`, { headers: headers })
+		.then(function (res) {
+			return res.json();
+		})
+		.then(function (result) {
+			t.equal(result.verified, false);
+			t.end();
+		});
+});
+
+test("bad input", function (t) {
+	t.throws(function () {
+		httpSignature.signFetchRequest({}, { keyId: "k", key: rsaPrivate });
+	}, /request.url/);
+	t.throws(
+		function () {
+			httpSignature.signFetchRequest(
+				{ url: base },
+				{ keyId: "k", key: rsaPrivate, headers: ["date", "x-missing"] },
+			);
+		},
+		{ name: "MissingHeaderError", message: "x-missing was not in the request" },
+	);
+	t.end();
+});
+
+test("parse a Request", function (t) {
+	const signed = httpSignature.signFetchRequest(
+		new Request("https://example.com/inbox?page=2", { method: "DELETE" }),
+		{
+			keyId: "test-key",
+			key: rsaPrivate,
+			headers: ["(request-target)", "host", "date"],
+		},
+	);
+
+	const parsed = httpSignature.parseFetchRequest(signed);
+	t.equal(parsed.keyId, "test-key");
+	t.equal(
+		parsed.signingString,
+		`(request-target): delete /inbox?page=2\nhost: example.com\ndate: ${signed.headers.get(
+			"date",
+		)}`,
+	);
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	t.same(httpSignature.parseRequest(signed), parsed);
+
+	const message = httpSignature.signFetchRequest(
+		new Request("https://example.com/inbox"),
+		{
+			keyId: "test-key",
+			key: rsaPrivate,
+			format: "rfc9421",
+			headers: ["@method", "@target-uri", "date"],
+		},
+	);
+	const parsedMessage = httpSignature.parseFetchRequest(message);
+	t.match(
+		parsedMessage.signingString,
+		/^"@method": GET\n"@target-uri": https:\/\/example.com\/inbox\n/,
+	);
+	t.ok(httpSignature.verifySignature(parsedMessage, rsaPublic));
+	t.end();
+});
+
+test("parse a Request errors", function (t) {
+	t.throws(
+		function () {
+			httpSignature.parseFetchRequest(new Request("https://example.com/"));
+		},
+		{
+			name: "MissingHeaderError",
+			message: "no authorization or signature header present in the request",
+		},
+	);
+	t.throws(
+		function () {
+			httpSignature.parseFetchRequest(
+				new Request("https://example.com/", {
+					headers: {
+						date: "Thu, 01 Jan 1970 00:00:00 GMT",
+						authorization:
+							'Signature keyId="k",algorithm="rsa-sha256",signature="AAAA"',
+					},
+				}),
+			);
+		},
+		{ name: "ExpiredRequestError" },
+	);
+	t.throws(function () {
+		httpSignature.parseFetchRequest({
+			url: "https://example.com/",
+			headers: {},
+		});
+	}, /request.headers.get/);
+	t.end();
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		t.end();
+	});
+});
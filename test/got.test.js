@@ -0,0 +1,263 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const http = require("http");
+
+const got = require("got");
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+let server = null;
+let base = null;
+let other = null;
+let otherBase = null;
+let flaky = 0;
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	server = http.createServer(function (req, res) {
+		if (req.url === "/redirect") {
+			res.writeHead(307, { Location: "/inbox?from=redirect" });
+			res.end();
+			return;
+		}
+		if (req.url === "/see-other") {
+			res.writeHead(303, { Location: "/inbox?from=see-other" });
+			res.end();
+			return;
+		}
+		if (req.url === "/elsewhere") {
+			res.writeHead(307, { Location: `${otherBase}/inbox?from=elsewhere` });
+			res.end();
+			return;
+		}
+		if (req.url === "/flaky" && flaky++ === 0) {
+			res.writeHead(503);
+			res.end();
+			return;
+		}
+
+		const chunks = [];
+		req.on("data", function (chunk) {
+			chunks.push(chunk);
+		});
+		req.on("end", function () {
+			const result = { signed: false, method: req.method, url: req.url };
+			try {
+				const parsed = httpSignature.parseRequest(req);
+				result.signed = true;
+				result.headers = parsed.params.headers;
+				result.verified = httpSignature.verifySignature(parsed, rsaPublic);
+				if (req.headers.digest !== undefined)
+					result.digest = httpSignature.verifyDigest(
+						parsed,
+						Buffer.concat(chunks),
+					);
+			} catch (e) {
+				result.error = e.name;
+			}
+			res.setHeader("Content-Type", "application/json");
+			res.end(JSON.stringify(result));
+		});
+	});
+	/* Another origin, answering just the same. */
+	other = http.createServer(function (req, res) {
+		server.emit("request", req, res);
+	});
+	server.listen(0, "127.0.0.1", function () {
+		base = `http://127.0.0.1:${server.address().port}`;
+		other.listen(0, "127.0.0.1", function () {
+			otherBase = `http://127.0.0.1:${other.address().port}`;
+			t.end();
+		});
+	});
+});
+
+test("signs requests with digests of their bodies", function (t) {
+	const client = got.extend({
+		prefixUrl: base,
+		hooks: {
+			beforeRequest: [
+				httpSignature.got({
+					keyId: "test-key",
+					key: rsaPrivate,
+					headers: ["(request-target)", "host", "date", "content-type"],
+					digest: true,
+				}),
+			],
+		},
+	});
+
+	client
+		.post("inbox", { json: { hello: "world" }, searchParams: { page: 2 } })
+		.json()
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				method: "POST",
+				url: "/inbox?page=2",
+				headers: ["(request-target)", "host", "date", "content-type", "digest"],
+				verified: true,
+				digest: true,
+			});
+			return client.put("inbox", { form: { a: "b c" } }).json();
+		})
+		.then(function (result) {
+			t.equal(result.verified, true);
+			t.equal(result.digest, true);
+			return client
+				.post("inbox", {
+					body: Buffer.from([0, 1, 2]),
+					headers: { "Content-Type": "application/octet-stream" },
+				})
+				.json();
+		})
+		.then(function (result) {
+			t.equal(result.digest, true);
+			t.end();
+		});
+});
+
+test("signs redirects again", function (t) {
+	const client = got.extend({
+		prefixUrl: base,
+		hooks: {
+			beforeRequest: [
+				httpSignature.got({
+					keyId: "test-key",
+					key: rsaPrivate,
+					headers: ["(request-target)", "date"],
+					digest: true,
+				}),
+			],
+		},
+	});
+
+	client
+		.post("redirect", { body: "body" })
+		.json()
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				method: "POST",
+				url: "/inbox?from=redirect",
+				headers: ["(request-target)", "date", "digest"],
+				verified: true,
+				digest: true,
+			});
+			return client.post("see-other", { body: "body" }).json();
+		})
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				method: "GET",
+				url: "/inbox?from=see-other",
+				headers: ["(request-target)", "date"],
+				verified: true,
+			});
+			t.end();
+		});
+});
+
+test("leaves redirects to other origins unsigned", function (t) {
+	got
+		.post(`${base}/elsewhere`, {
+			body: "body",
+			hooks: {
+				beforeRequest: [
+					httpSignature.got({
+						keyId: "test-key",
+						key: rsaPrivate,
+						headers: ["(request-target)", "date"],
+						digest: true,
+					}),
+				],
+			},
+		})
+		.json()
+		.then(function (result) {
+			t.same(result, {
+				signed: false,
+				method: "POST",
+				url: "/inbox?from=elsewhere",
+				error: "MissingHeaderError",
+			});
+			t.end();
+		});
+});
+
+test("signs retries again", function (t) {
+	got(`${base}/flaky`, {
+		retry: {
+			limit: 1,
+			calculateDelay: function (retry) {
+				return retry.computedValue === 0 ? 0 : 1;
+			},
+		},
+		hooks: {
+			beforeRequest: [
+				httpSignature.got({
+					keyId: "test-key",
+					key: rsaPrivate,
+					headers: ["(request-target)", "date"],
+				}),
+			],
+		},
+	})
+		.json()
+		.then(function (result) {
+			t.equal(flaky, 2);
+			t.equal(result.verified, true);
+			t.end();
+		});
+});
+
+test("signing errors reject the request", function (t) {
+	got(`${base}/inbox`, {
+		retry: 0,
+		hooks: {
+			beforeRequest: [
+				httpSignature.got({
+					keyId: "test-key",
+					key: rsaPrivate,
+					headers: ["date", "x-missing"],
+				}),
+			],
+		},
+	}).then(
+		function () {
+			t.fail("request sent");
+		},
+		function (err) {
+			t.match(err.message, /x-missing was not in the request/);
+			t.end();
+		},
+	);
+});
+
+test("bad options", function (t) {
+	t.throws(function () {
+		httpSignature.got({ key: rsaPrivate });
+	}, /options.keyId/);
+	t.throws(function () {
+		httpSignature.got({ keyId: "k", key: rsaPrivate, body: "x" });
+	}, /options.body/);
+	t.end();
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		other.close(function () {
+			t.end();
+		});
+	});
+});
@@ -0,0 +1,167 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+
+const Hapi = require("@hapi/hapi");
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+const helpers = require("./lib/helpers");
+
+///--- Globals
+
+let rsaPublic = null;
+let server = null;
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	server = Hapi.server();
+	server.auth.scheme("http-signature", httpSignature.hapi);
+	server.auth.strategy("signature", "http-signature", {
+		keyResolver: function (keyId) {
+			return keyId === "test-key" ? rsaPublic : null;
+		},
+		headers: ["(request-target)", "date"],
+		realm: "example",
+	});
+	server.auth.default("signature");
+
+	server.route([
+		{
+			method: "GET",
+			path: "/feed",
+			handler: function (request) {
+				return { keyId: request.auth.credentials.keyId };
+			},
+		},
+		{
+			method: "POST",
+			path: "/inbox",
+			options: { plugins: { httpSignature: { digest: true } } },
+			handler: function (request) {
+				return { hello: request.payload.hello };
+			},
+		},
+		{
+			method: "GET",
+			path: "/public",
+			options: { auth: false },
+			handler: function () {
+				return "public";
+			},
+		},
+	]);
+	server.initialize().then(function () {
+		t.end();
+	});
+});
+
+test("valid signatures", function (t) {
+	server
+		.inject({
+			method: "GET",
+			url: "/feed",
+			headers: helpers.signedHeaders("localhost", "GET", "/feed"),
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.result, { keyId: "test-key" });
+			return server.inject({
+				method: "GET",
+				url: "/feed",
+				headers: helpers.signedHeaders("localhost", "GET", "/feed", {
+					format: "rfc9421",
+					headers: ["@method", "@path", "date"],
+				}),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			return server.inject({ method: "GET", url: "/public" });
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.end();
+		});
+});
+
+test("failures", function (t) {
+	server
+		.inject({ method: "GET", url: "/feed" })
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(
+				res.headers["www-authenticate"],
+				'Signature realm="example",headers="(request-target) date"',
+			);
+			return server.inject({
+				method: "GET",
+				url: "/feed",
+				headers: helpers.signedHeaders("localhost", "GET", "/feed", {
+					keyId: "other",
+				}),
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(res.result.message, "other is not a known key");
+			t.equal(
+				res.headers["accept-signature"],
+				'sig1=("@method" "@target-uri" "date")',
+			);
+			t.end();
+		});
+});
+
+test("digest checked against the payload", function (t) {
+	const body = '{"hello": "world"}';
+	server
+		.inject({
+			method: "POST",
+			url: "/inbox",
+			headers: helpers.signedHeaders("localhost", "POST", "/inbox", {}, body),
+			payload: body,
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 200);
+			t.same(res.result, { hello: "world" });
+			return server.inject({
+				method: "POST",
+				url: "/inbox",
+				headers: helpers.signedHeaders("localhost", "POST", "/inbox", {}, body),
+				payload: '{"hello": "moon!"}',
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(res.result.message, "digest does not match the body");
+			return server.inject({
+				method: "POST",
+				url: "/inbox",
+				headers: Object.assign(
+					helpers.signedHeaders("localhost", "POST", "/inbox"),
+					{
+						"content-type": "application/json",
+					},
+				),
+				payload: body,
+			});
+		})
+		.then(function (res) {
+			t.equal(res.statusCode, 401);
+			t.equal(
+				res.result.message,
+				"the request has a body, but no signed digest of it",
+			);
+			t.end();
+		});
+});
+
+test("teardown", function (t) {
+	server.stop().then(function () {
+		t.end();
+	});
+});
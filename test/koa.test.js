@@ -0,0 +1,161 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+
+const Koa = require("koa");
+const bodyParser = require("koa-bodyparser");
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+const helpers = require("./lib/helpers");
+
+///--- Globals
+
+let rsaPublic = null;
+let server = null;
+let port = null;
+const resolved = [];
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	const verify = httpSignature.koa({
+		keyResolver: function (keyId, parsed, req) {
+			resolved.push([keyId, req.ctx.path]);
+			return keyId === "test-key" ? rsaPublic : null;
+		},
+		headers: ["(request-target)", "date"],
+		realm: "example",
+		authorize: function (credentials, req) {
+			return req.ctx.path !== "/admin";
+		},
+	});
+	const strict = verify.withPolicy({ digest: true });
+
+	const parse = bodyParser();
+
+	const app = new Koa();
+	app.use(function (ctx, next) {
+		if (ctx.path === "/inbox") return strict(ctx, next);
+		if (ctx.path === "/then-json")
+			return verify(ctx, function () {
+				return parse(ctx, next);
+			});
+		return verify(ctx, next);
+	});
+	app.use(function (ctx) {
+		if (ctx.path === "/then-json") {
+			ctx.body = {
+				raw: Buffer.isBuffer(ctx.request.body),
+				hello: ctx.request.body.hello,
+			};
+			return;
+		}
+		ctx.body = {
+			keyId: ctx.state.httpSignature.keyId,
+			length:
+				ctx.request.rawBody !== undefined ? ctx.request.rawBody.length : 0,
+		};
+	});
+
+	server = app.listen(0, "127.0.0.1", function () {
+		port = server.address().port;
+		t.end();
+	});
+});
+
+test("valid signature", function (t) {
+	helpers.send(port, "/feed", { sign: {} }).then(function (r) {
+		t.equal(r.res.statusCode, 200);
+		t.same(JSON.parse(r.body), { keyId: "test-key", length: 0 });
+		t.same(resolved.pop(), ["test-key", "/feed"]);
+		t.end();
+	});
+});
+
+test("unsigned request gets a challenge", function (t) {
+	helpers.send(port, "/feed").then(function (r) {
+		t.equal(r.res.statusCode, 401);
+		t.equal(
+			r.res.headers["www-authenticate"],
+			'Signature realm="example",headers="(request-target) date"',
+		);
+		t.equal(
+			r.res.headers["accept-signature"],
+			'sig1=("@method" "@target-uri" "date")',
+		);
+		t.equal(
+			r.body,
+			"no authorization or signature header present in the request",
+		);
+		t.end();
+	});
+});
+
+test("digest checked against the body", function (t) {
+	const body = '{"hello": "world"}';
+	helpers
+		.send(port, "/inbox", { sign: { body: body }, body: body })
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { keyId: "test-key", length: body.length });
+			return helpers.send(port, "/inbox", {
+				sign: { body: body },
+				body: body,
+				sentBody: '{"hello": "moon!"}',
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(r.body, "digest does not match the body");
+			return helpers.send(port, "/inbox", { sign: {}, body: body });
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(r.body, "the request has a body, but no signed digest of it");
+			t.end();
+		});
+});
+
+test("body parser mounted after the middleware", function (t) {
+	const body = '{"hello": "world"}';
+	const headers = { "content-type": "application/json" };
+	helpers
+		.send(port, "/then-json", {
+			sign: { body: body },
+			headers: headers,
+			body: body,
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { raw: true });
+
+			/* Without a digest the body is left to the parser. */
+			return helpers.send(port, "/then-json", {
+				sign: {},
+				headers: headers,
+				body: body,
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { raw: false, hello: "world" });
+			t.end();
+		});
+});
+
+test("authentic but not authorized", function (t) {
+	helpers.send(port, "/admin", { sign: {} }).then(function (r) {
+		t.equal(r.res.statusCode, 403);
+		t.equal(r.res.headers["www-authenticate"], undefined);
+		t.end();
+	});
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		t.end();
+	});
+});
@@ -0,0 +1,103 @@
+// Copyright 2026 Firefish.
+
+/*
+ * Helpers shared by the framework tests, for sending them signed requests.
+ */
+
+const fs = require("fs");
+const http = require("http");
+
+const httpSignature = require("../../lib/index");
+
+///--- Globals
+
+const rsaPrivate = fs.readFileSync(`${__dirname}/../rsa_private.pem`, "ascii");
+
+/* What requests are signed with unless a test says otherwise. */
+function signing(options, body) {
+	return Object.assign(
+		{
+			keyId: "test-key",
+			key: rsaPrivate,
+			headers: ["(request-target)", "date"],
+			body: body,
+		},
+		options,
+	);
+}
+
+///--- Exported API
+
+module.exports = {
+	/**
+	 * Sends a request to a server listening on 127.0.0.1, resolving with the
+	 * response and its body as a string.
+	 *
+	 * @param {Number} port the port the server listens on.
+	 * @param {String} path the request path.
+	 * @param {Object} opts optional; with:
+	 *                   - {Object} sign optional; signs the request with these
+	 *                               options to signRequest() (default RSA
+	 *                               over '(request-target)' and 'date').
+	 *                   - {Object} headers optional; more request headers.
+	 *                   - {String} body optional; POSTed rather than a GET.
+	 *                   - {String} sentBody optional; sent instead of body.
+	 * @return {Promise} resolving with { res, body }.
+	 */
+	send: function send(port, path, opts) {
+		const options = opts || {};
+		return new Promise(function (resolve, reject) {
+			const req = http.request(
+				{
+					host: "127.0.0.1",
+					port: port,
+					method: options.body !== undefined ? "POST" : "GET",
+					path: path,
+					headers: options.headers,
+				},
+				function (res) {
+					let data = "";
+					res.setEncoding("utf8");
+					res.on("data", function (chunk) {
+						data += chunk;
+					});
+					res.on("end", function () {
+						resolve({ res: res, body: data });
+					});
+				},
+			);
+			req.on("error", reject);
+			if (options.sign !== undefined)
+				httpSignature.signRequest(req, signing(options.sign));
+			req.end(options.sentBody || options.body);
+		});
+	},
+
+	/**
+	 * Builds the headers of a signed request, for the inject() methods of
+	 * fastify and hapi.
+	 *
+	 * @param {String} host the Host header.
+	 * @param {String} method the request method.
+	 * @param {String} url the request path.
+	 * @param {Object} options optional; more options to signRequest().
+	 * @param {String} body optional; a JSON body to digest.
+	 * @return {Object} the headers.
+	 */
+	signedHeaders: function signedHeaders(host, method, url, options, body) {
+		const headers = { host: host };
+		if (body !== undefined) headers["content-type"] = "application/json";
+		const req = {
+			method: method,
+			path: url,
+			getHeader: function (name) {
+				return headers[name.toLowerCase()];
+			},
+			setHeader: function (name, value) {
+				headers[name.toLowerCase()] = value;
+			},
+		};
+		httpSignature.signRequest(req, signing(options, body));
+		return headers;
+	},
+};
@@ -646,6 +646,43 @@ test("valid explicit headers request-target", function (t) {
 	});
 });
 
+test("request-target from originalUrl or requestTarget", function (t) {
+	server.tester = function (req, res) {
+		const date = `date: ${options.headers.Date}`;
+		t.equal(
+			httpSignature.parseRequest(req).signingString,
+			`(request-target): get /foo?bar=baz\n${date}`,
+		);
+
+		/* As Express leaves it, with url relative to the router's mount. */
+		req.originalUrl = req.url;
+		req.url = "/?bar=baz";
+		t.equal(
+			httpSignature.parseRequest(req).signingString,
+			`(request-target): get /foo?bar=baz\n${date}`,
+		);
+
+		t.equal(
+			httpSignature.parseRequest(req, { requestTarget: "/api/foo?bar=baz" })
+				.signingString,
+			`(request-target): get /api/foo?bar=baz\n${date}`,
+		);
+		res.writeHead(200);
+		res.end();
+	};
+
+	options.path = "/foo?bar=baz";
+	options.headers.Authorization =
+		'Signature keyId="foo",algorithm="rsa-sha256",' +
+		'headers="(request-target) date",signature="digitalSignature"';
+	options.headers.Date = jsprim.rfc1123(new Date());
+	http.get(options, function (res) {
+		options.path = "/";
+		t.equal(res.statusCode, 200);
+		t.end();
+	});
+});
+
 test("expired", function (t) {
 	server.tester = function (req, res) {
 		const options = {
@@ -763,6 +800,29 @@ test("not whitelisted algorithm", function (t) {
 	});
 });
 
+test("escaped quotes in params", function (t) {
+	server.tester = function (req, res) {
+		try {
+			const parsed = httpSignature.parseRequest(req);
+			t.equal(parsed.keyId, 'say "hi" \\o/');
+		} catch (e) {
+			t.fail(e.stack);
+		}
+
+		res.writeHead(200);
+		res.end();
+	};
+
+	options.headers.Authorization =
+		'Signature keyId="say \\"hi\\" \\\\o/",algorithm="rsa-sha256",' +
+		'headers="date",signature="digitalSignature"';
+	options.headers.Date = jsprim.rfc1123(new Date());
+	http.get(options, function (res) {
+		t.equal(res.statusCode, 200);
+		t.end();
+	});
+});
+
 test("tearDown", function (t) {
 	server.on("close", function () {
 		t.end();
@@ -0,0 +1,254 @@
+// Copyright 2026 Firefish.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const workerThreads = require("worker_threads");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+const keys = {};
+
+function signed(type, signingString) {
+	const hash = type === "ed25519" ? null : "sha256";
+	return {
+		algorithm: type === "ed25519" ? "ED25519-SHA512" : `${type}-sha256`,
+		params: {
+			signature: crypto
+				.sign(hash, Buffer.from(signingString), keys[type].private)
+				.toString("base64"),
+		},
+		signingString: signingString,
+	};
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	["rsa", "ecdsa"].forEach(function (type) {
+		keys[type] = {
+			private: fs.readFileSync(`${__dirname}/${type}_private.pem`, "ascii"),
+			public: fs.readFileSync(`${__dirname}/${type}_public.pem`, "ascii"),
+		};
+	});
+	const pair = crypto.generateKeyPairSync("ed25519", {
+		publicKeyEncoding: { type: "spki", format: "pem" },
+		privateKeyEncoding: { type: "pkcs8", format: "pem" },
+	});
+	keys.ed25519 = { private: pair.privateKey, public: pair.publicKey };
+	t.end();
+});
+
+test("verifies as verifySignature does", function (t) {
+	const pool = httpSignature.createVerificationPool({ size: 2 });
+	const cases = [];
+	Object.keys(keys).forEach(function (type) {
+		const good = signed(type, "date: today");
+		const bad = Object.assign({}, good, { signingString: "date: tomorrow" });
+		[
+			keys[type].public,
+			Buffer.from(keys[type].public),
+			crypto.createPublicKey(keys[type].public),
+		].forEach(function (key) {
+			cases.push([type, good, key], [type, bad, key]);
+		});
+	});
+
+	Promise.all(
+		cases.map(function (c) {
+			return pool.verify(c[1], c[2]);
+		}),
+	)
+		.then(function (results) {
+			results.forEach(function (result, i) {
+				const c = cases[i];
+				t.equal(result, httpSignature.verifySignature(c[1], c[2]), c[0]);
+			});
+			t.same(
+				results.filter(function (result) {
+					return result;
+				}).length,
+				cases.length / 2,
+			);
+			return pool.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("rejects with what verifySignature throws", function (t) {
+	const pool = httpSignature.createVerificationPool({ size: 1 });
+	const parsed = Object.assign(signed("rsa", "date: today"), {
+		algorithm: "foo-sha256",
+	});
+	pool
+		.verify(parsed, keys.rsa.public)
+		.then(
+			function () {
+				t.fail("verified");
+			},
+			function (err) {
+				t.equal(err.name, "InvalidAlgorithmError");
+				t.match(err.message, /FOO type keys are not supported/);
+				return pool.verify(signed("rsa", "date: today"), "not a key");
+			},
+		)
+		.then(
+			function () {
+				t.fail("verified");
+			},
+			function (err) {
+				t.equal(err.name, "KeyParseError");
+				return pool.verify(signed("rsa", "date: today"), {});
+			},
+		)
+		.then(
+			function () {
+				t.fail("verified");
+			},
+			function (err) {
+				t.ok(err instanceof TypeError);
+				return pool.close();
+			},
+		)
+		.then(function () {
+			t.end();
+		});
+});
+
+test("bounded queue", function (t) {
+	const pool = httpSignature.createVerificationPool({ size: 1, maxQueue: 2 });
+	const parsed = signed("rsa", "date: today");
+	let drained = false;
+	pool.on("drain", function () {
+		drained = true;
+	});
+
+	/* Four go to the worker at once, and two wait in the queue. */
+	const accepted = [];
+	for (let i = 0; i < 6; i++)
+		accepted.push(pool.verify(parsed, keys.rsa.public));
+	t.equal(pool.pending(), 6);
+
+	pool
+		.verify(parsed, keys.rsa.public)
+		.then(
+			function () {
+				t.fail("verified");
+			},
+			function (err) {
+				t.equal(err.name, "PoolFullError");
+				return Promise.all(accepted);
+			},
+		)
+		.then(function (results) {
+			t.same(results, [true, true, true, true, true, true]);
+			t.ok(drained, "drain emitted");
+			t.equal(pool.pending(), 0);
+			return pool.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("close", function (t) {
+	const pool = httpSignature.createVerificationPool({ size: 1 });
+	const parsed = signed("ecdsa", "date: today");
+	const verified = [];
+	for (let i = 0; i < 10; i++)
+		verified.push(pool.verify(parsed, keys.ecdsa.public));
+
+	const closed = pool.close();
+	t.equal(pool.close(), closed);
+	pool
+		.verify(parsed, keys.ecdsa.public)
+		.then(
+			function () {
+				t.fail("verified");
+			},
+			function (err) {
+				t.equal(err.name, "PoolClosedError");
+				return Promise.all(verified);
+			},
+		)
+		.then(function (results) {
+			t.equal(results.length, 10);
+			t.ok(
+				results.every(function (result) {
+					return result === true;
+				}),
+			);
+			return closed;
+		})
+		.then(function () {
+			t.equal(pool.pending(), 0);
+			t.end();
+		});
+});
+
+test("workers that exit before they start", function (t) {
+	const Worker = workerThreads.Worker;
+	workerThreads.Worker = function (filename, options) {
+		const worker = new Worker(filename, options);
+		worker.terminate();
+		return worker;
+	};
+	const pool = httpSignature.createVerificationPool({ size: 2 });
+	workerThreads.Worker = Worker;
+
+	const parsed = signed("ecdsa", "date: today");
+	const verified = [];
+	for (let i = 0; i < 10; i++)
+		verified.push(
+			pool.verify(parsed, keys.ecdsa.public).then(
+				function () {
+					t.fail("verified");
+				},
+				function (err) {
+					return err.message;
+				},
+			),
+		);
+
+	Promise.all(verified)
+		.then(function (messages) {
+			t.equal(messages.length, 10);
+			t.ok(
+				messages.every(function (message) {
+					return /^verification worker exited/.test(message);
+				}),
+			);
+			t.equal(pool.pending(), 0);
+			return pool.verify(parsed, keys.ecdsa.public);
+		})
+		.then(
+			function () {
+				t.fail("verified");
+			},
+			function (err) {
+				t.equal(err.message, "every verification worker has exited");
+				return pool.close();
+			},
+		)
+		.then(function () {
+			t.end();
+		});
+});
+
+test("bad options", function (t) {
+	t.throws(function () {
+		httpSignature.createVerificationPool({ size: 0 });
+	}, /options.size/);
+	t.throws(function () {
+		httpSignature.createVerificationPool({ maxQueue: -1 });
+	}, /options.maxQueue/);
+	t.throws(function () {
+		httpSignature.createVerificationPool({ backend: "openssl" });
+	}, /options.backend/);
+	t.end();
+});
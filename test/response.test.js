@@ -0,0 +1,436 @@
+// Copyright 2026 Firefish.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+
+/*
+ * Parses a response once to get its signing string, then signs that and
+ * parses again with the real signature in place.
+ */
+function signAndParse(response, headers, options) {
+	const parsed = httpSignature.parseResponse(response, options);
+	const signature = crypto
+		.sign("sha256", Buffer.from(parsed.signingString), rsaPrivate)
+		.toString("base64");
+	if (headers["signature-input"] !== undefined)
+		headers.signature = `${parsed.label}=:${signature}:`;
+	else
+		headers.signature = headers.signature.replace(
+			'signature="AAAA"',
+			`signature="${signature}"`,
+		);
+	return httpSignature.parseResponse(response, options);
+}
+
+function clientRequest(headers) {
+	return {
+		method: "POST",
+		path: "/inbox?page=1",
+		protocol: "https:",
+		getHeader: function (name) {
+			return headers[name.toLowerCase()];
+		},
+		getHeaders: function () {
+			return headers;
+		},
+	};
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+	t.ok(rsaPrivate);
+	t.ok(rsaPublic);
+	t.end();
+});
+
+test("rfc9421 response with request components", function (t) {
+	const headers = {
+		date: new Date().toUTCString(),
+		"content-type": "application/activity+json",
+		"signature-input":
+			'sig1=("@status" "content-type" "@method";req "@target-uri";req ' +
+			'"digest";req);created=1618884475;keyid="test-key-rsa"',
+		signature: "sig1=:AAAA:",
+	};
+	const response = {
+		statusCode: 200,
+		httpVersion: "1.1",
+		headers: headers,
+		req: clientRequest({ host: "example.com", digest: "SHA-256=abc=" }),
+	};
+
+	const parsed = signAndParse(response, headers, { clockSkew: 1e10 });
+	t.equal(parsed.format, "rfc9421");
+	t.same(parsed.params.headers, [
+		"@status",
+		"content-type",
+		"@method;req",
+		"@target-uri;req",
+		"digest;req",
+	]);
+	t.equal(
+		parsed.signingString,
+		'"@status": 200\n' +
+			'"content-type": application/activity+json\n' +
+			'"@method";req: POST\n' +
+			'"@target-uri";req: https://example.com/inbox?page=1\n' +
+			'"digest";req: SHA-256=abc=\n' +
+			'"@signature-params": ("@status" "content-type" "@method";req ' +
+			'"@target-uri";req "digest";req);created=1618884475;' +
+			'keyid="test-key-rsa"',
+	);
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+
+	headers["content-type"] = "text/html";
+	t.notOk(
+		httpSignature.verifySignature(
+			httpSignature.parseResponse(response, { clockSkew: 1e10 }),
+			rsaPublic,
+		),
+	);
+	t.end();
+});
+
+test("rfc9421 response errors", function (t) {
+	const response = {
+		statusCode: 404,
+		headers: {
+			"signature-input": 'sig1=("@method";req);keyid="k"',
+			signature: "sig1=:AAAA:",
+		},
+	};
+	t.throws(
+		function () {
+			httpSignature.parseResponse(response);
+		},
+		{
+			name: "MissingHeaderError",
+			message: "@method;req has no request to refer to",
+		},
+	);
+
+	response.headers["signature-input"] = 'sig1=("@method");keyid="k"';
+	t.throws(
+		function () {
+			httpSignature.parseResponse(response);
+		},
+		{ name: "MissingHeaderError" },
+	);
+
+	response.headers.signature = undefined;
+	t.throws(
+		function () {
+			httpSignature.parseResponse(response);
+		},
+		{
+			name: "MissingHeaderError",
+			message: "no signature header present in the response",
+		},
+	);
+	t.throws(function () {
+		httpSignature.parseResponse(response, { request: "GET /" });
+	}, /options.request/);
+	t.end();
+});
+
+test("fetch Response", function (t) {
+	const headers = new Headers({
+		date: new Date().toUTCString(),
+		"content-type": "application/json",
+		"signature-input":
+			'sig1=("@status" "content-type" "@authority";req "@path";req ' +
+			'"accept";req);keyid="test-key-rsa"',
+		signature: "sig1=:AAAA:",
+	});
+	const response = new Response("{}", { status: 201, headers: headers });
+	const request = new Request("https://example.com:8443/objects/1?x=y", {
+		method: "PUT",
+		headers: { accept: "application/json" },
+	});
+
+	const parsed = httpSignature.parseResponse(response, {
+		request: request,
+		headers: ["@status"],
+	});
+	t.equal(
+		parsed.signingString,
+		'"@status": 201\n' +
+			'"content-type": application/json\n' +
+			'"@authority";req: example.com:8443\n' +
+			'"@path";req: /objects/1\n' +
+			'"accept";req: application/json\n' +
+			'"@signature-params": ("@status" "content-type" "@authority";req ' +
+			'"@path";req "accept";req);keyid="test-key-rsa"',
+	);
+
+	const signature = crypto
+		.sign("sha256", Buffer.from(parsed.signingString), rsaPrivate)
+		.toString("base64");
+	headers.set("signature", `sig1=:${signature}:`);
+	const signed = new Response("{}", { status: 201, headers: headers });
+	t.ok(
+		httpSignature.verifySignature(
+			httpSignature.parseResponse(signed, {
+				request: request,
+				headers: ["@status"],
+			}),
+			rsaPublic,
+		),
+	);
+
+	const moved = new Response("{}", { status: 301, headers: headers });
+	t.notOk(
+		httpSignature.verifySignature(
+			httpSignature.parseResponse(moved, {
+				request: request,
+				headers: ["@status"],
+			}),
+			rsaPublic,
+		),
+	);
+	t.end();
+});
+
+test("cavage response", function (t) {
+	const headers = {
+		date: new Date().toUTCString(),
+		"content-type": "application/json",
+		signature:
+			'keyId="k",algorithm="rsa-sha256",' +
+			'headers="(request-target) date content-type",signature="AAAA"',
+	};
+	const response = {
+		statusCode: 200,
+		httpVersion: "1.1",
+		headers: headers,
+		req: clientRequest({ host: "example.com" }),
+	};
+
+	const parsed = signAndParse(response, headers);
+	t.equal(
+		parsed.signingString,
+		`(request-target): post /inbox?page=1\ndate: ${headers.date}\ncontent-type: application/json`,
+	);
+	t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+
+	response.req = undefined;
+	t.throws(
+		function () {
+			httpSignature.parseResponse(response);
+		},
+		{
+			name: "MissingHeaderError",
+			message: "(request-target) has no request to refer to",
+		},
+	);
+	t.end();
+});
+
+test("http.IncomingMessage response", function (t) {
+	const headers = {
+		date: new Date().toUTCString(),
+		"content-type": "text/plain",
+		"signature-input":
+			'sig1=("@status" "content-type" "@method";req "@path";req);' +
+			'keyid="test-key-rsa"',
+		signature: "sig1=:AAAA:",
+	};
+
+	const server = http.createServer(function (req, res) {
+		res.writeHead(200, headers);
+		res.end("hello");
+	});
+
+	server.listen(0, "127.0.0.1", function () {
+		/* Sign for the request the client is about to make. */
+		const expected = {
+			statusCode: 200,
+			headers: headers,
+			req: {
+				method: "GET",
+				path: "/feed",
+				getHeader: function () {
+					return undefined;
+				},
+				getHeaders: function () {
+					return {};
+				},
+			},
+		};
+		signAndParse(expected, headers, { headers: ["@status"] });
+
+		http.get(
+			{ host: "127.0.0.1", port: server.address().port, path: "/feed" },
+			function (res) {
+				res.resume();
+				const parsed = httpSignature.parseResponse(res, {
+					headers: ["@status"],
+				});
+				t.equal(parsed.keyId, "test-key-rsa");
+				t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+				server.close();
+				t.end();
+			},
+		);
+	});
+});
+
+test("signResponse rfc9421", function (t) {
+	const body = '{"type": "Note"}';
+	const server = http.createServer(function (req, res) {
+		res.statusCode = 203;
+		res.setHeader("Content-Type", "application/activity+json");
+		httpSignature.signResponse(res, {
+			format: "rfc9421",
+			keyId: "test-key-rsa",
+			key: rsaPrivate,
+			headers: ["@status", "content-type", "@method;req", "@path;req"],
+			body: body,
+			digestHeader: "content-digest",
+		});
+		res.end(body);
+	});
+
+	server.listen(0, "127.0.0.1", function () {
+		http.get(
+			{ host: "127.0.0.1", port: server.address().port, path: "/notes/1" },
+			function (res) {
+				let data = "";
+				res.setEncoding("utf8");
+				res.on("data", function (chunk) {
+					data += chunk;
+				});
+				res.on("end", function () {
+					const parsed = httpSignature.parseResponse(res);
+					t.same(parsed.params.headers, [
+						"@status",
+						"content-type",
+						"@method;req",
+						"@path;req",
+						"content-digest",
+					]);
+					t.match(parsed.signingString, /^"@status": 203\n/);
+					t.match(parsed.signingString, /"@path";req: \/notes\/1\n/);
+					t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+					t.ok(httpSignature.verifyContentDigest(parsed, data));
+					server.close();
+					t.end();
+				});
+			},
+		);
+	});
+});
+
+test("signResponse cavage", function (t) {
+	const server = http.createServer(function (req, res) {
+		res.setHeader("Content-Type", "text/plain");
+		httpSignature.signResponse(res, {
+			keyId: "k",
+			key: rsaPrivate,
+			headers: ["(request-target)", "date", "content-type"],
+		});
+		res.end("hello");
+	});
+
+	server.listen(0, "127.0.0.1", function () {
+		http.get(
+			{ host: "127.0.0.1", port: server.address().port, path: "/a?b=c" },
+			function (res) {
+				res.resume();
+				t.match(res.headers.signature, /^keyId="k",algorithm="rsa-sha256"/);
+				t.equal(res.headers.authorization, undefined);
+				const parsed = httpSignature.parseResponse(res);
+				t.match(parsed.signingString, /^\(request-target\): get \/a\?b=c\n/);
+				t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+				server.close();
+				t.end();
+			},
+		);
+	});
+});
+
+test("signResponse errors", function (t) {
+	function response() {
+		const headers = {};
+		return {
+			statusCode: 200,
+			getHeader: function (name) {
+				return headers[name.toLowerCase()];
+			},
+			setHeader: function (name, value) {
+				headers[name.toLowerCase()] = value;
+			},
+		};
+	}
+
+	t.throws(
+		function () {
+			httpSignature.signResponse(response(), {
+				format: "rfc9421",
+				keyId: "k",
+				key: rsaPrivate,
+				headers: ["@status", "content-type"],
+			});
+		},
+		{
+			name: "MissingHeaderError",
+			message: "content-type was not in the response",
+		},
+	);
+	t.throws(
+		function () {
+			httpSignature.signResponse(response(), {
+				format: "rfc9421",
+				keyId: "k",
+				key: rsaPrivate,
+				headers: ["@status", "@authority;req"],
+			});
+		},
+		{
+			name: "MissingHeaderError",
+			message: "@authority;req has no request to refer to",
+		},
+	);
+	t.throws(
+		function () {
+			httpSignature.signResponse(response(), {
+				keyId: "k",
+				key: rsaPrivate,
+				headers: ["(request-target)"],
+			});
+		},
+		{
+			name: "MissingHeaderError",
+			message: "(request-target) has no request to refer to",
+		},
+	);
+
+	const res = response();
+	t.ok(
+		httpSignature.signResponse(res, {
+			format: "rfc9421",
+			keyId: "k",
+			key: rsaPrivate,
+			request: new Request("https://example.com/x", { method: "DELETE" }),
+			headers: ["@status", "@target-uri;req"],
+		}),
+	);
+	t.match(
+		res.getHeader("signature-input"),
+		/^sig1=\("@status" "@target-uri";req\)/,
+	);
+	t.end();
+});
@@ -0,0 +1,136 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+
+const restify = require("restify");
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+const helpers = require("./lib/helpers");
+
+///--- Globals
+
+let rsaPublic = null;
+let server = null;
+let port = null;
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	server = restify.createServer();
+	server.use(
+		httpSignature.restify({
+			keyResolver: function (keyId) {
+				return keyId === "test-key" ? rsaPublic : null;
+			},
+			headers: ["(request-target)", "date"],
+			realm: "example",
+			authorize: function (credentials, req) {
+				return req.url !== "/admin";
+			},
+		}),
+	);
+	server.use(restify.plugins.bodyParser());
+
+	server.get("/feed", function (req, res, next) {
+		res.send({ keyId: req.httpSignature.keyId });
+		next();
+	});
+	server.get("/admin", function (req, res, next) {
+		res.send({});
+		next();
+	});
+	server.post("/inbox", function (req, res, next) {
+		res.send({ hello: req.body.hello });
+		next();
+	});
+
+	server.listen(0, "127.0.0.1", function () {
+		port = server.address().port;
+		t.end();
+	});
+});
+
+test("valid signature", function (t) {
+	helpers.send(port, "/feed?page=2", { sign: {} }).then(function (r) {
+		t.equal(r.res.statusCode, 200);
+		t.same(JSON.parse(r.body), { keyId: "test-key" });
+		t.end();
+	});
+});
+
+test("restify errors", function (t) {
+	helpers
+		.send(port, "/feed")
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(
+				r.res.headers["www-authenticate"],
+				'Signature realm="example",headers="(request-target) date"',
+			);
+			t.equal(JSON.parse(r.body).code, "Unauthorized");
+			t.match(
+				JSON.parse(r.body).message,
+				/caused by MissingHeaderError: no authorization or signature header/,
+			);
+			return helpers.send(port, "/feed", { sign: { keyId: "other" } });
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 401);
+			t.equal(JSON.parse(r.body).code, "InvalidCredentials");
+			t.match(
+				JSON.parse(r.body).message,
+				/^other is not a known key; caused by Unknown/,
+			);
+			return helpers.send(port, "/feed", {
+				sign: {},
+				headers: { date: "Thu, 01 Jan 1970 00:00:00 GMT" },
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 400);
+			t.equal(JSON.parse(r.body).code, "RequestExpired");
+			t.equal(r.res.headers["www-authenticate"], undefined);
+			return helpers.send(port, "/admin", { sign: {} });
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 403);
+			t.equal(JSON.parse(r.body).code, "NotAuthorized");
+			t.end();
+		});
+});
+
+test("digest read before the body parser", function (t) {
+	const body = '{"hello": "world"}';
+	const headers = { "content-type": "application/json" };
+	helpers
+		.send(port, "/inbox", {
+			sign: { body: body },
+			headers: headers,
+			body: body,
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 200);
+			t.same(JSON.parse(r.body), { hello: "world" });
+			return helpers.send(port, "/inbox", {
+				sign: { body: body },
+				headers: headers,
+				body: body,
+				sentBody: '{"hello": "moon!"}',
+			});
+		})
+		.then(function (r) {
+			t.equal(r.res.statusCode, 400);
+			t.equal(JSON.parse(r.body).code, "BadDigest");
+			t.match(JSON.parse(r.body).message, /^digest does not match the body/);
+			t.end();
+		});
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		t.end();
+	});
+});
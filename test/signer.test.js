@@ -492,6 +492,274 @@ test("ed25519", function (t) {
 	req.end();
 });
 
+test("escaped quotes in params", function (t) {
+	const req = http.request(httpOptions, function (res) {
+		t.end();
+	});
+	const opts = {
+		keyId: 'say "hi" \\o/',
+		key: rsaPrivate,
+	};
+
+	t.ok(httpSignature.sign(req, opts));
+	t.match(
+		req.getHeader("Authorization"),
+		/^Signature keyId="say \\"hi\\" \\\\o\/",/,
+	);
+	req.end();
+});
+
+test("createSigner promises", function (t) {
+	const s = httpSignature.createSigner({
+		keyId: "foo",
+		key: rsaPrivate,
+		algorithm: "rsa-sha256",
+	});
+	s.writeTarget("get", "/");
+	s.writeHeader("date", "Thu, 05 Jan 2014 21:31:40 GMT");
+	s.signAsync()
+		.then(function (authz) {
+			t.match(authz, /^Signature keyId="foo",algorithm="rsa-sha256",/);
+
+			const h = httpSignature.createSigner({
+				keyId: "foo",
+				key: hmacKey,
+				algorithm: "hmac-sha256",
+			});
+			h.writeDateHeader();
+			return h.sign();
+		})
+		.then(function (authz) {
+			t.match(authz, /algorithm="hmac-sha256"/);
+
+			const empty = httpSignature.createSigner({
+				keyId: "foo",
+				key: hmacKey,
+				algorithm: "hmac-sha256",
+			});
+			return empty.sign();
+		})
+		.then(
+			function () {
+				t.fail("signed without headers");
+			},
+			function (err) {
+				t.equal(err.message, "At least one header must be signed");
+				t.end();
+			},
+		);
+});
+
+test("signRequestAsync", function (t) {
+	const req = http.request(httpOptions, function (res) {
+		t.end();
+	});
+	httpSignature
+		.signRequestAsync(req, {
+			keyId: "unitTest",
+			headers: ["(request-target)", "date"],
+			keyProvider: function (keyId, request) {
+				t.equal(keyId, "unitTest");
+				t.equal(request, req);
+				return Promise.resolve(rsaPrivate);
+			},
+		})
+		.then(function (signed) {
+			t.equal(signed, true);
+			t.match(req.getHeader("Authorization"), /^Signature keyId="unitTest",/);
+			return httpSignature.signRequestAsync(req, {
+				keyId: "unitTest",
+				key: Promise.resolve(rsaPrivate),
+				headers: ["x-missing"],
+			});
+		})
+		.then(
+			function () {
+				t.fail("signed a missing header");
+			},
+			function (err) {
+				t.equal(err.name, "MissingHeaderError");
+				return httpSignature.signRequestAsync(req, {
+					keyId: "unitTest",
+					keyProvider: function () {
+						throw new Error("no such key");
+					},
+				});
+			},
+		)
+		.then(
+			function () {
+				t.fail("signed without a key");
+			},
+			function (err) {
+				t.equal(err.message, "no such key");
+				req.end();
+			},
+		);
+});
+
+test("createSigner with pseudo-headers", function (t) {
+	const rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+	const s = httpSignature.createSigner({
+		keyId: "foo",
+		key: rsaPrivate,
+		opaque: "secret",
+	});
+	s.writeTarget("post", "/inbox");
+	const date = s.writeDateHeader();
+	const created = s.writeCreated();
+	t.equal(s.writeExpires(120), created + 120);
+	t.equal(s.writeKeyId(), "foo");
+	t.equal(s.writeAlgorithm(), "rsa-sha256");
+	t.equal(s.writeOpaque(), "secret");
+	s.sign().then(function (authz) {
+		t.match(authz, `created=${created},expires=${created + 120},`);
+		const parsed = httpSignature.parseRequest({
+			method: "POST",
+			url: "/inbox",
+			httpVersion: "1.1",
+			headers: { date: date, authorization: authz },
+		});
+		t.same(parsed.params.headers, [
+			"(request-target)",
+			"date",
+			"(created)",
+			"(expires)",
+			"(keyid)",
+			"(algorithm)",
+			"(opaque)",
+		]);
+		t.equal(parsed.params.opaque, "secret");
+		t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+		t.end();
+	});
+});
+
+test("createSigner pseudo-headers with sign function", function (t) {
+	const s = httpSignature.createSigner({
+		keyId: "foo",
+		algorithm: "hmac-sha256",
+		sign: function (data, cb) {
+			t.equal(data, "(keyid): foo\n(algorithm): hmac-sha256");
+			cb(null, {
+				keyId: "foo",
+				algorithm: "hmac-sha512",
+				signature: "c2lnbmF0dXJl",
+			});
+		},
+	});
+	s.writeKeyId();
+	s.writeAlgorithm();
+	s.sign().then(
+		function () {
+			t.fail("signed with another algorithm");
+		},
+		function (err) {
+			t.match(err.message, /\(algorithm\)/);
+			t.throws(function () {
+				httpSignature
+					.createSigner({
+						sign: function () {},
+					})
+					.writeKeyId();
+			}, /options.keyId/);
+			t.throws(function () {
+				httpSignature
+					.createSigner({
+						keyId: "foo",
+						key: rsaPrivate,
+						format: "rfc9421",
+					})
+					.writeCreated();
+			}, /RFC 9421/);
+			t.end();
+		},
+	);
+});
+
+test("createSigningKey", function (t) {
+	function request() {
+		const headers = { date: "Thu, 05 Jan 2014 21:31:40 GMT" };
+		return {
+			method: "POST",
+			path: "/inbox",
+			headers: headers,
+			getHeader: function (name) {
+				return headers[name.toLowerCase()];
+			},
+			setHeader: function (name, value) {
+				headers[name.toLowerCase()] = value;
+			},
+		};
+	}
+	const options = {
+		keyId: "foo",
+		key: rsaPrivate,
+		headers: ["(request-target)", "date", "(algorithm)"],
+	};
+	const key = httpSignature.createSigningKey(options);
+
+	["first", "second"].forEach(function (body) {
+		const expected = request();
+		const actual = request();
+		t.ok(
+			httpSignature.signRequest(
+				expected,
+				Object.assign({}, options, { body: body }),
+			),
+		);
+		t.ok(key.signRequest(actual, { body: body }));
+		t.same(actual.headers, expected.headers);
+	});
+
+	const hmac = httpSignature.createSigningKey({
+		keyId: "foo",
+		key: hmacKey,
+		algorithm: "HMAC-SHA256",
+	});
+	const expected = request();
+	const actual = request();
+	httpSignature.signRequest(expected, {
+		keyId: "foo",
+		key: hmacKey,
+		algorithm: "hmac-sha256",
+	});
+	httpSignature.signRequest(actual, { keyId: "foo", key: hmac });
+	t.same(actual.headers, expected.headers);
+
+	t.throws(function () {
+		key.signRequest(request(), { key: dsaPrivate });
+	}, /options.key is fixed/);
+	t.throws(function () {
+		httpSignature.createSigningKey({ keyId: "foo", key: "not a key" });
+	});
+	t.end();
+});
+
+test("createSigningKey for RFC 9421 fetch requests", function (t) {
+	const rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+	const key = httpSignature.createSigningKey({
+		keyId: "foo",
+		key: rsaPrivate,
+		format: "rfc9421",
+	});
+	for (let i = 0; i < 3; i++) {
+		const headers = key.signFetchRequest({
+			url: `https://example.com/inbox/${i}`,
+			method: "POST",
+		});
+		const parsed = httpSignature.parseFetchRequest(
+			new Request(`https://example.com/inbox/${i}`, {
+				method: "POST",
+				headers: headers,
+			}),
+		);
+		t.equal(parsed.params.alg, "rsa-v1_5-sha256");
+		t.ok(httpSignature.verifySignature(parsed, rsaPublic));
+	}
+	t.end();
+});
+
 test("tear down", function (t) {
 	server.on("close", function () {
 		t.end();
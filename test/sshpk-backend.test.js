@@ -0,0 +1,8 @@
+// Copyright 2026 Firefish.
+
+/* Runs the signer and verify tests again with the sshpk backend. */
+
+require("../lib/index").setCryptoBackend("sshpk");
+
+require("./signer.test");
+require("./verify.test");
@@ -0,0 +1,231 @@
+// Copyright 2026 Firefish.
+
+const test = require("tap").test;
+
+const httpSignature = require("../lib/index");
+
+const sf = httpSignature.structuredFields;
+
+///--- Tests
+
+test("parse items", function (t) {
+	t.equal(sf.parseItem("42").value, 42);
+	t.equal(sf.parseItem("-42").value, -42);
+	t.ok(sf.parseItem("4.5").value instanceof sf.Decimal);
+	t.equal(Number(sf.parseItem("4.5").value), 4.5);
+	t.equal(Number(sf.parseItem("-0.125").value), -0.125);
+	t.equal(
+		sf.parseItem('"hello \\"world\\" \\\\o/"').value,
+		'hello "world" \\o/',
+	);
+	t.equal(sf.parseItem("?1").value, true);
+	t.equal(sf.parseItem("?0").value, false);
+	t.same(
+		sf.parseItem(":cHJldGVuZCB0aGlzIGlzIGJpbmFyeSBjb250ZW50Lg==:").value,
+		Buffer.from("pretend this is binary content."),
+	);
+
+	const token = sf.parseItem("foo123/456");
+	t.ok(token.value instanceof sf.Token);
+	t.equal(String(token.value), "foo123/456");
+
+	const item = sf.parseItem("  text/html;charset=utf-8;q=0.9;fresh  ");
+	t.equal(String(item.value), "text/html");
+	t.equal(String(item.params.get("charset")), "utf-8");
+	t.equal(Number(item.params.get("q")), 0.9);
+	t.equal(item.params.get("fresh"), true);
+	t.end();
+});
+
+test("parse lists", function (t) {
+	t.same(sf.parseList(""), []);
+
+	const list = sf.parseList("sugar, tea,\trum");
+	t.same(
+		list.map(function (m) {
+			return String(m.value);
+		}),
+		["sugar", "tea", "rum"],
+	);
+
+	const inner = sf.parseList('("foo" "bar");lvl=5, ("baz"), ()');
+	t.equal(inner.length, 3);
+	t.same(
+		inner[0].value.map(function (m) {
+			return m.value;
+		}),
+		["foo", "bar"],
+	);
+	t.equal(inner[0].params.get("lvl"), 5);
+	t.same(inner[2].value, []);
+
+	t.same(
+		sf.parseList(["1, 2", "3"]).map(function (m) {
+			return m.value;
+		}),
+		[1, 2, 3],
+	);
+	t.end();
+});
+
+test("parse dictionaries", function (t) {
+	const dict = sf.parseDictionary(
+		'en="Applepie", da=:w4ZibGV0w6ZydGUK:, a=?0, b, c;foo=bar',
+	);
+	t.same(Array.from(dict.keys()), ["en", "da", "a", "b", "c"]);
+	t.equal(dict.get("en").value, "Applepie");
+	t.same(dict.get("da").value, Buffer.from("w4ZibGV0w6ZydGUK", "base64"));
+	t.equal(dict.get("a").value, false);
+	t.equal(dict.get("b").value, true);
+	t.equal(dict.get("c").value, true);
+	t.equal(String(dict.get("c").params.get("foo")), "bar");
+
+	const dup = sf.parseDictionary("a=1, b=2, a=3");
+	t.same(Array.from(dup.keys()), ["a", "b"]);
+	t.equal(dup.get("a").value, 3);
+	t.end();
+});
+
+test("parse errors", function (t) {
+	const items = [
+		"",
+		"1234567890123456",
+		"1234567890123.0",
+		"1.1234",
+		"1.",
+		"-",
+		'"unterminated',
+		'"bad \\x escape"',
+		'"tab\tinside"',
+		":not base64!:",
+		":unterminated",
+		"?2",
+		"@date",
+		"a;B=1",
+		"1 2",
+	];
+	items.forEach(function (input) {
+		t.throws(
+			function () {
+				sf.parseItem(input);
+			},
+			{ name: "StructuredFieldError" },
+			JSON.stringify(input),
+		);
+	});
+
+	["a,", "a, ,b", "(a b", "(a;b)c", "a b"].forEach(function (input) {
+		t.throws(
+			function () {
+				sf.parseList(input);
+			},
+			{ name: "StructuredFieldError" },
+			input,
+		);
+	});
+
+	["A=1", "a=1,", "a=(1 2", "=1"].forEach(function (input) {
+		t.throws(
+			function () {
+				sf.parseDictionary(input);
+			},
+			{ name: "StructuredFieldError" },
+			input,
+		);
+	});
+	t.end();
+});
+
+test("serialize items", function (t) {
+	t.equal(sf.serializeItem(42), "42");
+	t.equal(sf.serializeItem(-1.5), "-1.5");
+	t.equal(sf.serializeItem(1.23456), "1.235");
+	t.equal(sf.serializeItem(2.0001), "2.0");
+	t.equal(sf.serializeItem(new sf.Decimal(3)), "3.0");
+	t.equal(sf.serializeItem('say "hi" \\'), '"say \\"hi\\" \\\\"');
+	t.equal(sf.serializeItem(true), "?1");
+	t.equal(sf.serializeItem(false), "?0");
+	t.equal(sf.serializeItem(Buffer.from("hello")), ":aGVsbG8=:");
+	t.equal(sf.serializeItem(new sf.Token("*/*")), "*/*");
+	t.equal(
+		sf.serializeItem({
+			value: new sf.Token("text/html"),
+			params: { charset: "utf-8", q: 0.5, fresh: true },
+		}),
+		'text/html;charset="utf-8";q=0.5;fresh',
+	);
+
+	const invalid = [
+		1e15,
+		1e12 + 0.5,
+		Number.NaN,
+		"caf\u00e9",
+		"new\nline",
+		new sf.Token("1abc"),
+		{ value: 1, params: { Upper: 1 } },
+		{ value: 1, params: { ok: {} } },
+		null,
+	];
+	invalid.forEach(function (value) {
+		t.throws(
+			function () {
+				sf.serializeItem(value);
+			},
+			{ name: "StructuredFieldError" },
+		);
+	});
+	t.end();
+});
+
+test("serialize lists and dictionaries", function (t) {
+	t.equal(
+		sf.serializeList([
+			1,
+			{
+				value: [new sf.Token("a"), { value: "b", params: { x: 1 } }],
+				params: { lvl: 2 },
+			},
+			{ value: [] },
+		]),
+		'1, (a "b";x=1);lvl=2, ()',
+	);
+
+	t.equal(
+		sf.serializeDictionary(
+			new Map([
+				["a", 1],
+				["b", true],
+				["c", { value: true, params: new Map([["d", 2]]) }],
+				["e", { value: [1, 2] }],
+			]),
+		),
+		"a=1, b, c;d=2, e=(1 2)",
+	);
+	t.equal(
+		sf.serializeDictionary({ "sha-256": Buffer.from("x") }),
+		"sha-256=:eA==:",
+	);
+	t.throws(
+		function () {
+			sf.serializeDictionary({ Bad: 1 });
+		},
+		{ name: "StructuredFieldError" },
+	);
+	t.end();
+});
+
+test("round trip", function (t) {
+	const fields = [
+		'sig1=("@method" "@target-uri" "content-digest";sf);created=1618884473;keyid="test-key-rsa"',
+		"sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:, sha-512=:AAAA:",
+		'a=?0, b, c;foo=bar, d=(1 2.5 "three" ?1 :AA==:);x',
+	];
+	fields.forEach(function (field) {
+		t.equal(sf.serializeDictionary(sf.parseDictionary(field)), field);
+	});
+	t.equal(
+		sf.serializeList(sf.parseList("a,  b;q=1.0 ,   (c  d)")),
+		"a, b;q=1.0, (c d)",
+	);
+	t.end();
+});
@@ -0,0 +1,174 @@
+// Copyright 2026 Firefish.
+
+const fs = require("fs");
+const http = require("http");
+
+const test = require("tap").test;
+const undici = require("undici");
+
+const httpSignature = require("../lib/index");
+
+///--- Globals
+
+let rsaPrivate = null;
+let rsaPublic = null;
+let server = null;
+let base = null;
+
+/* Reads a JSON response from undici.request() or fetch(). */
+function json(res) {
+	return res.body.json ? res.body.json() : res.json();
+}
+
+///--- Tests
+
+test("setup", function (t) {
+	rsaPrivate = fs.readFileSync(`${__dirname}/rsa_private.pem`, "ascii");
+	rsaPublic = fs.readFileSync(`${__dirname}/rsa_public.pem`, "ascii");
+
+	server = http.createServer(function (req, res) {
+		const chunks = [];
+		req.on("data", function (chunk) {
+			chunks.push(chunk);
+		});
+		req.on("end", function () {
+			const result = { signed: false, host: req.headers.host };
+			try {
+				const parsed = httpSignature.parseRequest(req);
+				result.signed = true;
+				result.keyId = parsed.keyId;
+				result.headers = parsed.params.headers;
+				result.verified = httpSignature.verifySignature(parsed, rsaPublic);
+				if (req.headers.digest !== undefined)
+					result.digest = httpSignature.verifyDigest(
+						parsed,
+						Buffer.concat(chunks),
+					);
+			} catch (e) {
+				result.error = e.name;
+			}
+			res.setHeader("Content-Type", "application/json");
+			res.end(JSON.stringify(result));
+		});
+	});
+	server.listen(0, "127.0.0.1", function () {
+		base = `http://127.0.0.1:${server.address().port}`;
+		t.end();
+	});
+});
+
+test("undici.request through a signing dispatcher", function (t) {
+	const dispatcher = httpSignature.createSigningDispatcher(new undici.Agent(), {
+		keyId: "test-key",
+		key: rsaPrivate,
+		headers: ["(request-target)", "host", "date"],
+	});
+
+	undici
+		.request(`${base}/feed?page=2`, { dispatcher: dispatcher })
+		.then(json)
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				host: base.replace("http://", ""),
+				keyId: "test-key",
+				headers: ["(request-target)", "host", "date"],
+				verified: true,
+			});
+			return dispatcher.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("fetch with digests and keys per origin", function (t) {
+	const body = '{"hello": "world"}';
+	const dispatcher = new undici.Agent().compose(
+		httpSignature.createSigningInterceptor({
+			headers: ["(request-target)", "host", "date"],
+			digest: true,
+			host: true,
+			keys: function (origin) {
+				if (origin === base) return { keyId: "local", key: rsaPrivate };
+				return undefined;
+			},
+		}),
+	);
+
+	fetch(`${base}/inbox`, {
+		method: "POST",
+		body: body,
+		dispatcher: dispatcher,
+	})
+		.then(json)
+		.then(function (result) {
+			t.same(result, {
+				signed: true,
+				host: base.replace("http://", ""),
+				keyId: "local",
+				headers: ["(request-target)", "host", "date", "digest"],
+				verified: true,
+				digest: true,
+			});
+			return fetch(`${base.replace("127.0.0.1", "localhost")}/inbox`, {
+				dispatcher: dispatcher,
+			});
+		})
+		.then(json)
+		.then(function (result) {
+			t.equal(result.signed, false);
+			return dispatcher.close();
+		})
+		.then(function () {
+			t.end();
+		});
+});
+
+test("signing errors reject the request", function (t) {
+	const dispatcher = new undici.Agent().compose(
+		httpSignature.createSigningInterceptor({
+			keyId: "test-key",
+			key: rsaPrivate,
+			headers: ["date", "x-missing"],
+		}),
+	);
+
+	undici
+		.request(base, { dispatcher: dispatcher })
+		.then(
+			function () {
+				t.fail("request sent");
+			},
+			function (err) {
+				t.equal(err.name, "MissingHeaderError");
+				return dispatcher.close();
+			},
+		)
+		.then(function () {
+			t.end();
+		});
+});
+
+test("bad options", function (t) {
+	t.throws(function () {
+		httpSignature.createSigningInterceptor({ key: rsaPrivate });
+	}, /options.keyId/);
+	t.throws(function () {
+		httpSignature.createSigningInterceptor({
+			keyId: "k",
+			key: rsaPrivate,
+			body: "x",
+		});
+	}, /options.body/);
+	t.throws(function () {
+		httpSignature.createSigningDispatcher({}, { keyId: "k", key: rsaPrivate });
+	}, /dispatcher.compose/);
+	t.end();
+});
+
+test("teardown", function (t) {
+	server.close(function () {
+		t.end();
+	});
+});
@@ -503,6 +503,45 @@ test("for now invalid hs2019 (valid rsa-sha512)", function (t) {
 	});
 });
 
+test("hs2019 with a P-384 key (ecdsa-sha384)", function (t) {
+	const keys = crypto.generateKeyPairSync("ec", {
+		namedCurve: "P-384",
+		publicKeyEncoding: { type: "spki", format: "pem" },
+		privateKeyEncoding: { type: "pkcs8", format: "pem" },
+	});
+	const formats = ["cavage", "rfc9421"];
+
+	server.tester = function (req, res) {
+		const parsed = httpSignature.parseRequest(req);
+		t.equal(parsed.algorithm, "HS2019");
+		t.ok(httpSignature.verify(parsed, keys.publicKey), parsed.format);
+
+		res.writeHead(200);
+		res.end();
+	};
+
+	function next() {
+		const format = formats.shift();
+		if (format === undefined) {
+			t.end();
+			return;
+		}
+		const req = http.request(options, function (res) {
+			t.equal(res.statusCode, 200);
+			res.resume();
+			next();
+		});
+		httpSignature.signRequest(req, {
+			keyId: "foo",
+			key: keys.privateKey,
+			format: format,
+			hideAlgorithm: true,
+		});
+		req.end();
+	}
+	next();
+});
+
 test("If the algorithm is omitted, treated as rsa-sha256.", function (t) {
 	server.tester = function (req, res) {
 		const parsed = httpSignature.parseRequest(req);
@@ -742,6 +781,112 @@ test("valid rsa from spec all headers (request-target)", function (t) {
 	req.end();
 });
 
+function signed(algorithm, key, signingString, extra) {
+	const alg = algorithm.split("-");
+	const signature = crypto.sign(
+		alg[0] === "ed25519" ? null : alg[1],
+		Buffer.from(signingString),
+		key,
+	);
+	return Object.assign(
+		{
+			algorithm: algorithm.toUpperCase(),
+			params: { signature: signature.toString("base64") },
+			signingString: signingString,
+		},
+		extra,
+	);
+}
+
+test("createVerifier agrees with verifySignature", function (t) {
+	const keys = [
+		["rsa-sha256", rsaPrivate, rsaPublic],
+		["rsa-sha512", rsaPrivate, rsaPublic],
+		["dsa-sha256", dsaPrivate, dsaPublic],
+		["ecdsa-sha256", ecdsaPrivate, ecdsaPublic],
+		["ed25519-sha512", ed25519Private, ed25519Public],
+	];
+	keys.forEach(function (k) {
+		const verifier = httpSignature.createVerifier(k[2]);
+		const good = signed(k[0], k[1], "date: today");
+		const bad = Object.assign({}, good, { signingString: "date: tomorrow" });
+		const other = Object.assign({}, good, {
+			algorithm: k[0] === "rsa-sha256" ? "DSA-SHA256" : "RSA-SHA256",
+		});
+
+		t.equal(verifier.verify(good), true, k[0]);
+		t.equal(httpSignature.verifySignature(good, k[2]), true, k[0]);
+		t.equal(httpSignature.verifySignature(good, verifier), true, k[0]);
+		t.equal(
+			httpSignature.verifySignature(good, sshpk.parseKey(k[2])),
+			true,
+			k[0],
+		);
+		t.equal(verifier.verify(bad), false, k[0]);
+		t.equal(httpSignature.verifySignature(bad, k[2]), false, k[0]);
+		t.equal(verifier.verify(other), false, k[0]);
+		t.equal(httpSignature.verifySignature(other, k[2]), false, k[0]);
+	});
+
+	const hs2019 = signed("rsa-sha256", rsaPrivate, "date: today", {
+		algorithm: "hs2019",
+	});
+	t.equal(httpSignature.createVerifier(rsaPublic).verify(hs2019), true);
+	t.end();
+});
+
+test("createVerifier with RFC 9421 ecdsa signatures", function (t) {
+	const signature = crypto.sign("sha256", Buffer.from("@method: GET"), {
+		key: ecdsaPrivate,
+		dsaEncoding: "ieee-p1363",
+	});
+	const parsed = {
+		format: "rfc9421",
+		algorithm: "ECDSA-SHA256",
+		params: { signature: signature.toString("base64") },
+		signingString: "@method: GET",
+	};
+	t.equal(httpSignature.createVerifier(ecdsaPublic).verify(parsed), true);
+	t.equal(httpSignature.verifySignature(parsed, ecdsaPublic), true);
+	t.end();
+});
+
+test("verifySignature parses each key once", function (t) {
+	const parseKey = sshpk.parseKey;
+	const createPublicKey = crypto.createPublicKey;
+	const key = Buffer.from(rsaPublic.replace(/\n/g, "\r\n"));
+	const parsed = signed("rsa-sha256", rsaPrivate, "date: today");
+	let parses = 0;
+	sshpk.parseKey = function (...args) {
+		parses++;
+		return parseKey.apply(sshpk, args);
+	};
+	crypto.createPublicKey = function (...args) {
+		parses++;
+		return createPublicKey.apply(crypto, args);
+	};
+	try {
+		t.equal(httpSignature.verifySignature(parsed, key), true);
+		t.equal(httpSignature.verifySignature(parsed, key), true);
+		t.equal(httpSignature.verifySignature(parsed, Buffer.from(key)), true);
+	} finally {
+		sshpk.parseKey = parseKey;
+		crypto.createPublicKey = createPublicKey;
+	}
+	t.equal(parses, 1);
+	t.end();
+});
+
+test("createVerifier with bad keys", function (t) {
+	t.throws(function () {
+		httpSignature.createVerifier({});
+	}, /pubkey must be a sshpk.Key/);
+	t.throws(function () {
+		httpSignature.createVerifier("not a key");
+	});
+	t.end();
+});
+
 test("tear down", function (t) {
 	server.on("close", function () {
 		t.end();